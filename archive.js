@@ -0,0 +1,147 @@
+// Account export/import archives, so users can take their account with them
+// or bring one over. An archive is a zip with:
+//   profile.json   - display name, bio, aliases and settings
+//   custom.css     - profile CSS
+//   actor.json     - the ActivityPub actor (without keys)
+//   posts.json     - the user's posts, oldest first
+//   media/         - uploaded files attached to those posts
+//   followers.csv, following.csv - one account address per line
+// following.csv uses the same layout as Mastodon's following_accounts.csv, so
+// a Mastodon export can be imported too.
+
+const path = require('path');
+const AdmZip = require('adm-zip');
+
+const ACCOUNTS_HEADER = 'Account address,Show boosts,Notify on new posts,Languages';
+const MAX_IMPORT_POSTS = 10000;
+// Archives are checked against these before anything is decompressed
+const MAX_ARCHIVE_ENTRIES = 50000;
+const MAX_ENTRY_BYTES = 100 * 1024 * 1024; // same as the upload limit
+const MAX_ARCHIVE_BYTES = 4 * 1024 * 1024 * 1024;
+
+function importError(code, message) {
+    return Object.assign(new Error(message), { code });
+}
+
+function accountsCsv(addresses) {
+    return [ACCOUNTS_HEADER, ...addresses.map(address => `${address},true,false,`)].join('\n') + '\n';
+}
+
+// First column of every row except the header
+function parseAccountsCsv(text) {
+    return text.split(/\r?\n/)
+        .map(line => line.split(',')[0].trim())
+        .filter(address => address && address !== 'Account address');
+}
+
+// Media is read from `storage` (see storage.js); files it doesn't hold are left out
+async function buildExport({ user, actor, posts, followers, following, storage }) {
+    const zip = new AdmZip();
+    zip.addFile('profile.json', Buffer.from(JSON.stringify({
+        username: user.username,
+        displayName: user.displayName || null,
+        bio: user.bio || null,
+        alsoKnownAs: user.alsoKnownAs,
+        manuallyApprovesFollowers: user.manuallyApprovesFollowers,
+        exportedAt: new Date().toISOString()
+    }, null, 2)));
+    zip.addFile('custom.css', Buffer.from(user.customCss || ''));
+    zip.addFile('actor.json', Buffer.from(JSON.stringify(actor, null, 2)));
+
+    const media = new Set();
+    const exported = posts.map(post => {
+        for (const attachment of post.attachments) {
+            for (const url of [attachment.url, attachment.thumbnailUrl]) {
+                const name = storage.nameOf(url);
+                if (name) media.add(name);
+            }
+        }
+        return {
+            id: post.id,
+            objectId: post.objectId,
+            content: post.content,
+            replyTo: post.replyTo,
+            inReplyTo: post.inReplyTo,
+            attachments: post.attachments,
+            visibility: post.visibility,
+            recipients: post.recipients,
+            contentWarning: post.contentWarning,
+            sensitive: post.sensitive,
+            createdAt: post.createdAt
+        };
+    });
+    zip.addFile('posts.json', Buffer.from(JSON.stringify(exported, null, 2)));
+
+    for (const name of media) {
+        const contents = await storage.get(name);
+        if (contents) zip.addFile(`media/${name}`, contents);
+    }
+    zip.addFile('followers.csv', Buffer.from(accountsCsv(followers)));
+    zip.addFile('following.csv', Buffer.from(accountsCsv(following)));
+    return zip.toBuffer();
+}
+
+/**
+ * Read an archive (or a bare following CSV) into plain data; nothing is saved here.
+ * Sizes are checked from the zip headers first (adm-zip never inflates an entry
+ * past its stated size), and media is only decompressed when it is read.
+ * @param  {Buffer} buffer
+ * @param  {string} [originalName]
+ * @param  {object} [limits]
+ * @param  {number} [limits.maxMediaBytes] - media the account still has room for
+ * @returns {object} profile, customCss, posts, following and media: a Map of
+ *   file name to { size, read() }
+ * @throws {Error} with code ARCHIVE_LIMIT or MEDIA_QUOTA when the archive is too big
+ */
+function readImport(buffer, originalName = '', { maxMediaBytes = Infinity } = {}) {
+    if (originalName.toLowerCase().endsWith('.csv')) {
+        return { profile: null, customCss: null, posts: [], following: parseAccountsCsv(buffer.toString('utf8')), media: new Map() };
+    }
+
+    const zip = new AdmZip(buffer);
+    const zipEntries = zip.getEntries();
+    if (zipEntries.length > MAX_ARCHIVE_ENTRIES) {
+        throw importError('ARCHIVE_LIMIT', `Archives can hold at most ${MAX_ARCHIVE_ENTRIES} files.`);
+    }
+    let totalBytes = 0;
+    let mediaBytes = 0;
+    for (const entry of zipEntries) {
+        if (entry.header.size > MAX_ENTRY_BYTES) {
+            throw importError('ARCHIVE_LIMIT', `${entry.entryName} is larger than ${MAX_ENTRY_BYTES / 1024 / 1024} MB.`);
+        }
+        totalBytes += entry.header.size;
+        if (entry.entryName.startsWith('media/')) mediaBytes += entry.header.size;
+    }
+    if (totalBytes > MAX_ARCHIVE_BYTES) {
+        throw importError('ARCHIVE_LIMIT', `Archives can hold at most ${MAX_ARCHIVE_BYTES / 1024 / 1024 / 1024} GB.`);
+    }
+    if (mediaBytes > maxMediaBytes) {
+        throw importError('MEDIA_QUOTA', "This archive's media would take you over your media storage.");
+    }
+
+    const entries = new Map(zipEntries.map(entry => [entry.entryName, entry]));
+    const text = name => entries.get(name)?.getData().toString('utf8');
+    const json = name => {
+        const value = text(name);
+        return value ? JSON.parse(value) : null;
+    };
+
+    const media = new Map();
+    for (const [name, entry] of entries) {
+        if (!name.startsWith('media/') || entry.isDirectory) continue;
+        const fileName = path.basename(name);
+        if (fileName) media.set(fileName, { size: entry.header.size, read: () => entry.getData() });
+    }
+    const posts = json('posts.json') || [];
+    if (!Array.isArray(posts)) throw new Error('posts.json must be a list of posts');
+
+    return {
+        profile: json('profile.json'),
+        customCss: text('custom.css') ?? null,
+        posts: posts.slice(0, MAX_IMPORT_POSTS),
+        following: parseAccountsCsv(text('following.csv') || text('following_accounts.csv') || ''),
+        media
+    };
+}
+
+module.exports = { buildExport, readImport };
@@ -0,0 +1,192 @@
+// Bluesky accounts linked for the bridge. App passwords and sessions are kept
+// encrypted with a server key (AES-256-GCM), and each account logs in once:
+// after that its session is resumed and refreshed, since Bluesky rate limits
+// logins far more strictly than anything else.
+
+const crypto = require('crypto');
+const { BskyAgent } = require('@atproto/api');
+
+const DEFAULT_SERVICE = 'https://bsky.social';
+const ENCRYPTED_PREFIX = 'enc1:';
+
+/**
+ * Encrypt and decrypt short secrets with a key derived from a server secret
+ * @param {string} secret - CREDENTIALS_SECRET (or SESSION_SECRET)
+ */
+class SecretBox {
+    constructor(secret) {
+        this.key = crypto.scryptSync(String(secret), 'mayaspace-credentials', 32);
+    }
+
+    encrypt(text) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+        const encrypted = Buffer.concat([cipher.update(String(text), 'utf8'), cipher.final()]);
+        return ENCRYPTED_PREFIX + [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+    }
+
+    // Throws if the value was encrypted with another key or changed
+    decrypt(value) {
+        const [iv, tag, encrypted] = value.slice(ENCRYPTED_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+    }
+
+    static isEncrypted(value) {
+        return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+    }
+}
+
+// A PDS URL from user input: https only (http for localhost), without a trailing slash
+function normalizeService(value) {
+    const text = String(value || '').trim();
+    if (!text) return null;
+    try {
+        const url = new URL(text.includes('://') ? text : `https://${text}`);
+        const local = ['localhost', '127.0.0.1'].includes(url.hostname);
+        if (url.protocol !== 'https:' && !(local && url.protocol === 'http:')) return null;
+        return url.origin;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Signed-in agents for each linked account, kept for as long as the process runs.
+// Without a server secret nothing can be stored safely, so the bridge is off.
+// Settings live in the user's blueskySettings:
+//   handle, service, enabled, connected, error,
+//   password - encrypted app password, used when the session can't be resumed
+//   session  - encrypted accessJwt/refreshJwt session data
+class BlueskySessions {
+    constructor(db, { secret, service }) {
+        this.db = db;
+        this.box = secret ? new SecretBox(secret) : null;
+        this.service = normalizeService(service) || DEFAULT_SERVICE;
+        this.agents = new Map();
+    }
+
+    get enabled() {
+        return !!this.box;
+    }
+
+    // Settings stored before passwords were encrypted are encrypted in place
+    encryptStoredPasswords() {
+        if (!this.enabled) return;
+        let count = 0;
+        for (const username of this.db.getBlueskyUsernames()) {
+            const settings = this.db.getUser(username).blueskySettings;
+            if (!settings.password || SecretBox.isEncrypted(settings.password)) continue;
+            this.db.setBlueskySettings(username, { ...settings, password: this.box.encrypt(settings.password) });
+            count++;
+        }
+        if (count) console.log(`Encrypted ${count} stored Bluesky app password(s)`);
+    }
+
+    serviceFor(settings) {
+        return settings?.service || this.service;
+    }
+
+    /**
+     * A signed-in agent for a user's linked account, resuming the stored session
+     * (or logging in with the app password when there isn't a usable one)
+     * @param  {string} username
+     * @returns {Promise<?BskyAgent>} null when no account is linked
+     */
+    agentFor(username) {
+        if (!this.enabled) return Promise.resolve(null);
+        if (!this.agents.has(username)) {
+            const pending = this.signIn(username);
+            this.agents.set(username, pending);
+            // A failed sign-in isn't kept, so the next post tries again
+            pending.then(agent => { if (!agent) this.agents.delete(username); }, () => this.agents.delete(username));
+        }
+        return this.agents.get(username);
+    }
+
+    async signIn(username) {
+        const settings = this.db.getUser(username)?.blueskySettings;
+        if (!settings?.handle || !settings.password) return null;
+
+        const agent = this.createAgent(username, this.serviceFor(settings));
+        if (settings.session) {
+            try {
+                // Refreshes the access token first if it has expired
+                await agent.resumeSession(JSON.parse(this.box.decrypt(settings.session)));
+                return agent;
+            } catch (error) {
+                console.error('Bluesky session resume error:', error.message);
+            }
+        }
+        await agent.login({ identifier: settings.handle, password: this.box.decrypt(settings.password) });
+        return agent;
+    }
+
+    // New and refreshed sessions are saved as they happen; dead ones are dropped
+    createAgent(username, service) {
+        return new BskyAgent({
+            service,
+            persistSession: (event, session) => {
+                const settings = this.db.getUser(username)?.blueskySettings;
+                if (!settings) return;
+                if ((event === 'create' || event === 'update') && session) {
+                    this.db.setBlueskySettings(username, { ...settings, session: this.box.encrypt(JSON.stringify(session)) });
+                } else if (event === 'expired') {
+                    const { session: expired, ...rest } = settings;
+                    this.db.setBlueskySettings(username, rest);
+                    this.agents.delete(username);
+                }
+            }
+        });
+    }
+
+    /**
+     * Link an account: log in once to check the credentials and keep the session
+     * @param  {string} username
+     * @param  {object} credentials - handle, password (app password, or null for the
+     *   stored one) and service
+     * @returns {Promise<object>} settings to store, with the password and session encrypted
+     */
+    async connect(username, { handle, password, service }) {
+        if (!this.enabled) throw new Error('The Bluesky bridge is disabled on this server');
+        // The next post resumes the new session instead of using an old agent
+        this.agents.delete(username);
+        if (!password) {
+            const stored = this.db.getUser(username)?.blueskySettings?.password;
+            password = stored && this.box.decrypt(stored);
+        }
+        const agent = new BskyAgent({ service: service || this.service });
+        await agent.login({ identifier: handle, password });
+        return {
+            handle,
+            service: service || null,
+            password: this.box.encrypt(password),
+            session: this.box.encrypt(JSON.stringify(agent.session))
+        };
+    }
+
+    /**
+     * Unlink an account: end its session on the PDS and wipe the stored credentials
+     * @param {string} username
+     */
+    async disconnect(username) {
+        const settings = this.db.getUser(username)?.blueskySettings;
+        const pending = this.agents.get(username);
+        this.agents.delete(username);
+        this.db.setBlueskySettings(username, null);
+        if (!this.enabled) return;
+        try {
+            let agent = await pending;
+            if (!agent && settings?.session) {
+                agent = new BskyAgent({ service: this.serviceFor(settings) });
+                await agent.resumeSession(JSON.parse(this.box.decrypt(settings.session)));
+            }
+            // Revokes the refresh token, so a copy of it is useless
+            if (agent?.hasSession) await agent.logout();
+        } catch (error) {
+            console.error('Bluesky logout error:', error.message);
+        }
+    }
+}
+
+module.exports = { BlueskySessions, SecretBox, normalizeService, DEFAULT_SERVICE };
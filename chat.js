@@ -0,0 +1,67 @@
+// Bookkeeping for real-time chat: who is connected to each room, and how fast
+// each user may send. Both live in memory, since they only describe open sockets.
+
+// Online users of each room, counted per socket so a second tab doesn't
+// announce a join and closing one of two tabs doesn't announce a leave
+class Roster {
+    constructor() {
+        this.rooms = new Map();
+    }
+
+    // True when this is the user's first socket in the room
+    add(room, username) {
+        if (!this.rooms.has(room)) this.rooms.set(room, new Map());
+        const sockets = this.rooms.get(room);
+        const count = sockets.get(username) || 0;
+        sockets.set(username, count + 1);
+        return count === 0;
+    }
+
+    // True when the user's last socket left the room
+    remove(room, username) {
+        const sockets = this.rooms.get(room);
+        const count = sockets?.get(username) || 0;
+        if (count > 1) {
+            sockets.set(username, count - 1);
+            return false;
+        }
+        if (!sockets) return false;
+        sockets.delete(username);
+        if (!sockets.size) this.rooms.delete(room);
+        return count === 1;
+    }
+
+    list(room) {
+        return [...(this.rooms.get(room)?.keys() || [])].sort((a, b) => a.localeCompare(b));
+    }
+}
+
+// Allows `limit` actions per key within any `interval` milliseconds
+class RateLimiter {
+    constructor({ limit, interval }) {
+        this.limit = limit;
+        this.interval = interval;
+        this.hits = new Map();
+    }
+
+    // Record an action; false if it is over the limit (and then isn't counted)
+    hit(key, now = Date.now()) {
+        const recent = (this.hits.get(key) || []).filter(time => now - time < this.interval);
+        if (recent.length >= this.limit) {
+            this.hits.set(key, recent);
+            return false;
+        }
+        recent.push(now);
+        this.hits.set(key, recent);
+        return true;
+    }
+
+    // Forget keys with nothing recent, so idle users don't pile up
+    prune(now = Date.now()) {
+        for (const [key, times] of this.hits) {
+            if (!times.some(time => now - time < this.interval)) this.hits.delete(key);
+        }
+    }
+}
+
+module.exports = { Roster, RateLimiter };
@@ -0,0 +1,1540 @@
+const BetterSqlite3 = require('better-sqlite3');
+
+const schema = `
+CREATE TABLE IF NOT EXISTS users (
+    username TEXT PRIMARY KEY,
+    password TEXT NOT NULL,
+    actor_id TEXT NOT NULL UNIQUE,
+    actor TEXT NOT NULL,
+    display_name TEXT,
+    bio TEXT,
+    custom_css TEXT,
+    bluesky_settings TEXT,
+    manually_approves_followers INTEGER NOT NULL DEFAULT 0,
+    also_known_as TEXT NOT NULL DEFAULT '[]',
+    moved_to TEXT,
+    expand_content_warnings INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS remote_actors (
+    id TEXT PRIMARY KEY,
+    username TEXT,
+    name TEXT,
+    url TEXT,
+    icon TEXT,
+    domain TEXT NOT NULL,
+    summary TEXT,
+    also_known_as TEXT NOT NULL DEFAULT '[]',
+    moved_to TEXT,
+    fetched_at TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS remote_actors_handle ON remote_actors (username, domain);
+
+CREATE TABLE IF NOT EXISTS posts (
+    id TEXT PRIMARY KEY,
+    author TEXT NOT NULL,
+    author_id TEXT,
+    object_id TEXT UNIQUE,
+    activity_id TEXT,
+    content TEXT NOT NULL,
+    reply_to TEXT,
+    in_reply_to TEXT,
+    attachments TEXT NOT NULL DEFAULT '[]',
+    remote INTEGER NOT NULL DEFAULT 0,
+    visibility TEXT NOT NULL DEFAULT 'public' CHECK (visibility IN ('public', 'unlisted', 'followers', 'direct')),
+    recipients TEXT NOT NULL DEFAULT '[]',
+    content_warning TEXT,
+    sensitive INTEGER NOT NULL DEFAULT 0,
+    processing INTEGER NOT NULL DEFAULT 0,
+    failed_media INTEGER NOT NULL DEFAULT 0,
+    bluesky_uri TEXT,
+    bluesky_web_url TEXT,
+    like_count INTEGER NOT NULL DEFAULT 0,
+    dislike_count INTEGER NOT NULL DEFAULT 0,
+    share_count INTEGER NOT NULL DEFAULT 0,
+    score INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL,
+    updated_at TEXT
+);
+CREATE INDEX IF NOT EXISTS posts_created_at ON posts (created_at);
+CREATE INDEX IF NOT EXISTS posts_score ON posts (score, created_at);
+CREATE INDEX IF NOT EXISTS posts_author ON posts (author, created_at);
+CREATE INDEX IF NOT EXISTS posts_author_id ON posts (author_id, created_at);
+CREATE INDEX IF NOT EXISTS posts_remote ON posts (remote, created_at);
+CREATE INDEX IF NOT EXISTS posts_reply_to ON posts (reply_to);
+CREATE INDEX IF NOT EXISTS posts_in_reply_to ON posts (in_reply_to);
+CREATE INDEX IF NOT EXISTS posts_activity_id ON posts (activity_id);
+
+-- Earlier versions of edited posts, one row per edit
+CREATE TABLE IF NOT EXISTS post_edits (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    post_id TEXT NOT NULL REFERENCES posts (id) ON DELETE CASCADE,
+    content TEXT NOT NULL,
+    attachments TEXT NOT NULL DEFAULT '[]',
+    created_at TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS post_edits_post ON post_edits (post_id, id);
+
+-- Uploads waiting to be converted before their post is published (see media.js)
+CREATE TABLE IF NOT EXISTS media_jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    post_id TEXT NOT NULL REFERENCES posts (id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    file_path TEXT NOT NULL,
+    file_name TEXT NOT NULL,
+    original_name TEXT NOT NULL,
+    mime_type TEXT,
+    size INTEGER NOT NULL DEFAULT 0,
+    description TEXT NOT NULL DEFAULT '',
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'done', 'failed')),
+    progress INTEGER NOT NULL DEFAULT 0,
+    attachment TEXT,
+    error TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS media_jobs_status ON media_jobs (status, id);
+CREATE INDEX IF NOT EXISTS media_jobs_post ON media_jobs (post_id, position);
+
+CREATE TABLE IF NOT EXISTS reactions (
+    post_id TEXT NOT NULL REFERENCES posts (id) ON DELETE CASCADE,
+    actor_id TEXT NOT NULL,
+    type TEXT NOT NULL CHECK (type IN ('like', 'dislike', 'share')),
+    activity_id TEXT,
+    created_at TEXT NOT NULL,
+    PRIMARY KEY (post_id, actor_id, type)
+);
+CREATE INDEX IF NOT EXISTS reactions_actor ON reactions (actor_id, type);
+
+CREATE TABLE IF NOT EXISTS follows (
+    follower TEXT NOT NULL,
+    following TEXT NOT NULL,
+    activity_id TEXT,
+    created_at TEXT NOT NULL,
+    PRIMARY KEY (follower, following)
+);
+CREATE INDEX IF NOT EXISTS follows_following ON follows (following);
+
+-- Follows waiting for a locked account to approve them
+CREATE TABLE IF NOT EXISTS follow_requests (
+    follower TEXT NOT NULL,
+    following TEXT NOT NULL,
+    activity_id TEXT,
+    created_at TEXT NOT NULL,
+    PRIMARY KEY (follower, following)
+);
+CREATE INDEX IF NOT EXISTS follow_requests_following ON follow_requests (following, created_at);
+
+-- Accounts (by actor id) or whole domains a user blocked
+CREATE TABLE IF NOT EXISTS blocks (
+    blocker TEXT NOT NULL,
+    target TEXT NOT NULL,
+    type TEXT NOT NULL CHECK (type IN ('actor', 'domain')),
+    activity_id TEXT,
+    created_at TEXT NOT NULL,
+    PRIMARY KEY (blocker, target)
+);
+
+-- Public rooms anyone can join, private ones members invite others to, and
+-- direct conversations between a fixed set of accounts. slow_mode is the
+-- seconds members wait between messages; word_filter a JSON array of words
+CREATE TABLE IF NOT EXISTS chat_rooms (
+    id TEXT PRIMARY KEY,
+    type TEXT NOT NULL CHECK (type IN ('public', 'private', 'direct')),
+    name TEXT,
+    created_by TEXT,
+    slow_mode INTEGER NOT NULL DEFAULT 0,
+    word_filter TEXT NOT NULL DEFAULT '[]',
+    created_at TEXT NOT NULL
+);
+
+-- Members are actor ids with a role of owner, moderator or member;
+-- last_read_at drives unread counts. Members of direct conversations can be
+-- accounts on other servers, whose messages arrive as direct Notes.
+CREATE TABLE IF NOT EXISTS chat_members (
+    room TEXT NOT NULL REFERENCES chat_rooms (id) ON DELETE CASCADE,
+    member TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'member',
+    last_read_at TEXT,
+    joined_at TEXT NOT NULL,
+    PRIMARY KEY (room, member)
+);
+CREATE INDEX IF NOT EXISTS chat_members_member ON chat_members (member);
+
+CREATE TABLE IF NOT EXISTS chat_messages (
+    id TEXT PRIMARY KEY,
+    room TEXT NOT NULL DEFAULT 'global_chat',
+    author TEXT NOT NULL,
+    author_id TEXT,
+    object_id TEXT,
+    content TEXT NOT NULL,
+    created_at TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS chat_messages_room ON chat_messages (room, created_at);
+
+-- Timeouts stop a member sending, bans keep them out of the room; both expire
+-- at until, or never when it is NULL
+CREATE TABLE IF NOT EXISTS chat_restrictions (
+    room TEXT NOT NULL REFERENCES chat_rooms (id) ON DELETE CASCADE,
+    member TEXT NOT NULL,
+    type TEXT NOT NULL CHECK (type IN ('timeout', 'ban')),
+    until TEXT,
+    reason TEXT,
+    created_by TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    PRIMARY KEY (room, member, type)
+);
+
+-- Moderation in each room; actor is NULL for what the server did by itself
+CREATE TABLE IF NOT EXISTS chat_audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    room TEXT NOT NULL REFERENCES chat_rooms (id) ON DELETE CASCADE,
+    actor TEXT,
+    action TEXT NOT NULL,
+    target TEXT,
+    detail TEXT NOT NULL DEFAULT '{}',
+    created_at TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS chat_audit_log_room ON chat_audit_log (room, id);
+
+CREATE TABLE IF NOT EXISTS deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    activity_id TEXT NOT NULL,
+    actor_id TEXT NOT NULL,
+    address TEXT NOT NULL,
+    body TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TEXT NOT NULL,
+    last_status INTEGER,
+    last_error TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    UNIQUE (activity_id, address)
+);
+CREATE INDEX IF NOT EXISTS deliveries_due ON deliveries (status, next_attempt_at);
+
+CREATE TABLE IF NOT EXISTS inbox_backoff (
+    address TEXT PRIMARY KEY,
+    failures INTEGER NOT NULL,
+    retry_at TEXT NOT NULL
+);
+`;
+
+// Columns added after a table was first released, created on older databases at startup
+const addedColumns = [
+    ['users', 'manually_approves_followers', 'INTEGER NOT NULL DEFAULT 0'],
+    ['remote_actors', 'summary', 'TEXT'],
+    ['remote_actors', 'also_known_as', "TEXT NOT NULL DEFAULT '[]'"],
+    ['remote_actors', 'moved_to', 'TEXT'],
+    ['users', 'also_known_as', "TEXT NOT NULL DEFAULT '[]'"],
+    ['users', 'moved_to', 'TEXT'],
+    ['posts', 'visibility', "TEXT NOT NULL DEFAULT 'public' CHECK (visibility IN ('public', 'unlisted', 'followers', 'direct'))"],
+    ['posts', 'recipients', "TEXT NOT NULL DEFAULT '[]'"],
+    ['posts', 'content_warning', 'TEXT'],
+    ['posts', 'sensitive', 'INTEGER NOT NULL DEFAULT 0'],
+    ['users', 'expand_content_warnings', 'INTEGER NOT NULL DEFAULT 0'],
+    ['posts', 'processing', 'INTEGER NOT NULL DEFAULT 0'],
+    ['posts', 'failed_media', 'INTEGER NOT NULL DEFAULT 0'],
+    ['media_jobs', 'size', 'INTEGER NOT NULL DEFAULT 0'],
+    ['chat_messages', 'author_id', 'TEXT'],
+    ['chat_rooms', 'slow_mode', 'INTEGER NOT NULL DEFAULT 0'],
+    ['chat_rooms', 'word_filter', "TEXT NOT NULL DEFAULT '[]'"],
+    ['chat_messages', 'object_id', 'TEXT']
+];
+
+// Indexes on added columns, created once the columns exist
+const addedIndexes = [
+    // Federated chat messages: their Note id
+    'CREATE UNIQUE INDEX IF NOT EXISTS chat_messages_object ON chat_messages (object_id)'
+];
+
+// The room everyone lands in; it was the only room before rooms existed
+const GLOBAL_CHAT_ROOM = 'global_chat';
+// Chat messages the viewer wants to see: none from accounts they blocked
+const chatNotBlockedBy = viewer => `
+    c.author NOT IN (SELECT u.username FROM blocks b JOIN users u ON u.actor_id = b.target WHERE b.blocker = ${viewer})
+    AND COALESCE(c.author_id, '') NOT IN (SELECT b.target FROM blocks b WHERE b.blocker = ${viewer})
+`;
+
+// Columns selected for every post, with the parent post and remote author joined in
+const postColumns = `
+    p.*,
+    ra.name AS author_name, ra.url AS author_url, ra.icon AS author_icon,
+    parent.content AS parent_content, parent.author AS parent_author,
+    parent.created_at AS parent_created_at, parent.remote AS parent_remote
+`;
+
+// Leaves out posts whose author, or the author's domain, the viewer blocked
+const notBlockedBy = (viewer, post = 'p', domain = 'ra.domain') => `
+    NOT EXISTS (SELECT 1 FROM blocks b WHERE b.blocker = ${viewer}
+        AND (b.target = ${post}.author_id OR (b.type = 'domain' AND b.target = ${domain})))
+`;
+
+// Posts the viewer may see: public and unlisted ones, their own, ones addressed
+// to them, and followers-only posts of accounts they follow
+const visibleTo = (viewer, post = 'p') => `
+    (${post}.visibility IN ('public', 'unlisted')
+        OR ${post}.author_id = ${viewer}
+        OR EXISTS (SELECT 1 FROM json_each(${post}.recipients) WHERE value = ${viewer})
+        OR (${post}.visibility = 'followers'
+            AND EXISTS (SELECT 1 FROM follows f WHERE f.follower = ${viewer} AND f.following = ${post}.author_id)))
+`;
+
+// The parent is only joined in when @viewerId may see it, so a reply doesn't
+// quote a private post to everyone
+const postJoins = `
+    LEFT JOIN remote_actors ra ON p.remote = 1 AND ra.id = p.author_id
+    LEFT JOIN posts parent ON parent.id = p.reply_to
+        AND ${visibleTo('@viewerId', 'parent')}
+        AND ${notBlockedBy('@viewerId', 'parent', '(SELECT domain FROM remote_actors WHERE id = parent.author_id)')}
+`;
+
+function hostnameOf(id) {
+    try {
+        return new URL(id).hostname;
+    } catch (error) {
+        return null;
+    }
+}
+
+// A post's parent is the post its reply_to names, or failing that the one
+// whose Note its in_reply_to points at (e.g. when the reply arrived first)
+const isReplyTo = (child, parent) => `
+    (${child}.reply_to = ${parent}.id
+        OR (${child}.reply_to IS NULL AND ${parent}.object_id IS NOT NULL AND ${child}.in_reply_to = ${parent}.object_id))
+`;
+
+// Deepest thread level followed up or down from a post
+const MAX_THREAD_DEPTH = 50;
+
+// "Hot" ranking: score decays with age so new posts can overtake old favourites
+const HOT_GRAVITY = 1.5;
+
+function hotRank(score, createdAt) {
+    const ageHours = Math.max(Date.now() - Date.parse(createdAt), 0) / 3600000;
+    return (score + 1) / Math.pow(ageHours + 2, HOT_GRAVITY);
+}
+
+// Timeline cursors are opaque to clients: the last post's position in the feed
+function encodeCursor(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    if (!cursor) return null;
+    try {
+        return JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    } catch (error) {
+        return null;
+    }
+}
+
+function parseJson(value, fallback) {
+    if (!value) return fallback;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return fallback;
+    }
+}
+
+class MayaSpaceDatabase {
+    constructor(filePath) {
+        this.db = new BetterSqlite3(filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('foreign_keys = ON');
+        this.db.exec(schema);
+        this.migrate();
+        this.db.prepare(`
+            INSERT OR IGNORE INTO chat_rooms (id, type, name, created_at) VALUES (?, 'public', 'Global', ?)
+        `).run(GLOBAL_CHAT_ROOM, new Date().toISOString());
+        this.db.function('hot_rank', { deterministic: false }, hotRank);
+    }
+
+    migrate() {
+        for (const [table, column, definition] of addedColumns) {
+            const exists = this.db.prepare(`PRAGMA table_info(${table})`).all().some(info => info.name === column);
+            if (!exists) this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        }
+        for (const index of addedIndexes) this.db.exec(index);
+    }
+
+    transaction(fn) {
+        return this.db.transaction(fn)();
+    }
+
+    close() {
+        this.db.close();
+    }
+
+    // --- Users ---
+
+    toUser(row) {
+        if (!row) return null;
+        return {
+            username: row.username,
+            password: row.password,
+            actor: parseJson(row.actor, null),
+            displayName: row.display_name,
+            bio: row.bio,
+            customCss: row.custom_css,
+            blueskySettings: parseJson(row.bluesky_settings, null),
+            manuallyApprovesFollowers: !!row.manually_approves_followers,
+            alsoKnownAs: parseJson(row.also_known_as, []),
+            movedTo: row.moved_to,
+            expandContentWarnings: !!row.expand_content_warnings,
+            createdAt: row.created_at
+        };
+    }
+
+    getUser(username) {
+        const row = this.db.prepare('SELECT * FROM users WHERE username = ?').get(username);
+        return this.toUser(row);
+    }
+
+    getUserByActorId(actorId) {
+        const row = this.db.prepare('SELECT * FROM users WHERE actor_id = ?').get(actorId);
+        return this.toUser(row);
+    }
+
+    createUser(user) {
+        this.db.prepare(`
+            INSERT INTO users (username, password, actor_id, actor, display_name, bio, custom_css, bluesky_settings, created_at)
+            VALUES (@username, @password, @actorId, @actor, @displayName, @bio, @customCss, @blueskySettings, @createdAt)
+        `).run({
+            username: user.username,
+            password: user.password,
+            actorId: user.actor.id,
+            actor: JSON.stringify(user.actor),
+            displayName: user.displayName || null,
+            bio: user.bio || null,
+            customCss: user.customCss || null,
+            blueskySettings: user.blueskySettings ? JSON.stringify(user.blueskySettings) : null,
+            createdAt: user.createdAt || new Date().toISOString()
+        });
+    }
+
+    updateUserProfile(username, { displayName, bio, customCss }) {
+        this.db.prepare(`
+            UPDATE users SET display_name = ?, bio = ?, custom_css = ? WHERE username = ?
+        `).run(displayName || null, bio || null, customCss || null, username);
+    }
+
+    setManuallyApprovesFollowers(username, enabled) {
+        this.db.prepare('UPDATE users SET manually_approves_followers = ? WHERE username = ?').run(enabled ? 1 : 0, username);
+    }
+
+    setExpandContentWarnings(username, enabled) {
+        this.db.prepare('UPDATE users SET expand_content_warnings = ? WHERE username = ?').run(enabled ? 1 : 0, username);
+    }
+
+    setAlsoKnownAs(username, aliases) {
+        this.db.prepare('UPDATE users SET also_known_as = ? WHERE username = ?').run(JSON.stringify(aliases), username);
+    }
+
+    setMovedTo(username, actorId) {
+        this.db.prepare('UPDATE users SET moved_to = ? WHERE username = ?').run(actorId || null, username);
+    }
+
+    setBlueskySettings(username, settings) {
+        this.db.prepare('UPDATE users SET bluesky_settings = ? WHERE username = ?')
+            .run(settings ? JSON.stringify(settings) : null, username);
+    }
+
+    getBlueskyUsernames() {
+        return this.db.prepare('SELECT username FROM users WHERE bluesky_settings IS NOT NULL').all().map(row => row.username);
+    }
+
+    searchUsers(query, limit = 10) {
+        const pattern = `%${query.replace(/[\\%_]/g, '\\$&')}%`;
+        return this.db.prepare(`
+            SELECT * FROM users
+            WHERE username LIKE ? ESCAPE '\\' OR display_name LIKE ? ESCAPE '\\'
+            ORDER BY username
+            LIMIT ?
+        `).all(pattern, pattern, limit).map(row => this.toUser(row));
+    }
+
+    // --- Remote actors ---
+
+    saveRemoteActor(actor) {
+        this.db.prepare(`
+            INSERT INTO remote_actors (id, username, name, url, icon, domain, summary, also_known_as, moved_to, fetched_at)
+            VALUES (@id, @username, @name, @url, @icon, @domain, @summary, @alsoKnownAs, @movedTo, @fetchedAt)
+            ON CONFLICT (id) DO UPDATE SET
+                username = excluded.username, name = excluded.name, url = excluded.url,
+                icon = excluded.icon, domain = excluded.domain, summary = excluded.summary,
+                also_known_as = excluded.also_known_as, moved_to = excluded.moved_to,
+                fetched_at = excluded.fetched_at
+        `).run({
+            ...actor,
+            summary: actor.summary || null,
+            alsoKnownAs: JSON.stringify(actor.alsoKnownAs || []),
+            movedTo: actor.movedTo || null
+        });
+        return actor;
+    }
+
+    toRemoteActor(row) {
+        if (!row) return null;
+        return {
+            id: row.id,
+            username: row.username,
+            name: row.name,
+            url: row.url,
+            icon: row.icon,
+            domain: row.domain,
+            summary: row.summary,
+            alsoKnownAs: parseJson(row.also_known_as, []),
+            movedTo: row.moved_to,
+            fetchedAt: row.fetched_at
+        };
+    }
+
+    getRemoteActor(id) {
+        return this.toRemoteActor(this.db.prepare('SELECT * FROM remote_actors WHERE id = ?').get(id));
+    }
+
+    getRemoteActorByHandle(username, domain) {
+        return this.toRemoteActor(this.db.prepare(`
+            SELECT * FROM remote_actors WHERE username = ? COLLATE NOCASE AND domain = ? COLLATE NOCASE
+            ORDER BY fetched_at DESC LIMIT 1
+        `).get(username, domain));
+    }
+
+    // Forget a remote account that was deleted: its profile, posts, reactions and follows
+    purgeRemoteActor(actorId) {
+        return this.transaction(() => {
+            const reacted = this.db.prepare('SELECT DISTINCT post_id FROM reactions WHERE actor_id = ?')
+                .all(actorId).map(row => row.post_id);
+            this.db.prepare('DELETE FROM reactions WHERE actor_id = ?').run(actorId);
+            for (const postId of reacted) this.recountReactions(postId);
+
+            const posts = this.db.prepare('DELETE FROM posts WHERE remote = 1 AND author_id = ?').run(actorId).changes;
+            this.db.prepare('DELETE FROM follows WHERE follower = ? OR following = ?').run(actorId, actorId);
+            this.db.prepare('DELETE FROM follow_requests WHERE follower = ? OR following = ?').run(actorId, actorId);
+            this.db.prepare('DELETE FROM remote_actors WHERE id = ?').run(actorId);
+            return posts;
+        });
+    }
+
+    // --- Posts ---
+
+    toPost(row) {
+        if (!row) return null;
+        const post = {
+            id: row.id,
+            author: row.author,
+            authorId: row.author_id,
+            objectId: row.object_id,
+            activityId: row.activity_id,
+            content: row.content,
+            replyTo: row.reply_to,
+            inReplyTo: row.in_reply_to,
+            attachments: parseJson(row.attachments, []),
+            remote: !!row.remote,
+            visibility: row.visibility,
+            recipients: parseJson(row.recipients, []),
+            contentWarning: row.content_warning,
+            sensitive: !!row.sensitive,
+            processing: !!row.processing,
+            failedMedia: row.failed_media,
+            blueskyUri: row.bluesky_uri,
+            blueskyWebUrl: row.bluesky_web_url,
+            likes: row.like_count,
+            dislikes: row.dislike_count,
+            shares: row.share_count,
+            score: row.score,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+        if (post.remote) {
+            post.authorName = row.author_name || row.author;
+            post.authorUrl = row.author_url || row.author_id;
+            post.authorIcon = row.author_icon;
+        }
+        if (row.parent_content !== undefined && row.parent_content !== null) {
+            post.quotedPost = {
+                content: row.parent_content,
+                author: row.parent_author,
+                createdAt: row.parent_created_at,
+                remote: !!row.parent_remote
+            };
+        }
+        return post;
+    }
+
+    createPost(post) {
+        this.db.prepare(`
+            INSERT INTO posts (id, author, author_id, object_id, activity_id, content, reply_to, in_reply_to, attachments, remote, visibility, recipients, content_warning, sensitive, processing, created_at)
+            VALUES (@id, @author, @authorId, @objectId, @activityId, @content, @replyTo, @inReplyTo, @attachments, @remote, @visibility, @recipients, @contentWarning, @sensitive, @processing, @createdAt)
+        `).run({
+            id: post.id,
+            author: post.author,
+            authorId: post.authorId || null,
+            objectId: post.objectId || null,
+            activityId: post.activityId || null,
+            content: post.content,
+            replyTo: post.replyTo || null,
+            inReplyTo: post.inReplyTo || null,
+            attachments: JSON.stringify(post.attachments || []),
+            remote: post.remote ? 1 : 0,
+            visibility: post.visibility || 'public',
+            recipients: JSON.stringify(post.recipients || []),
+            contentWarning: post.contentWarning || null,
+            sensitive: post.sensitive ? 1 : 0,
+            processing: post.processing ? 1 : 0,
+            createdAt: post.createdAt || new Date().toISOString()
+        });
+        return this.getPost(post.id);
+    }
+
+    // Keep the current version of a post before it's overwritten by an edit
+    saveEdit(existing) {
+        this.db.prepare(`
+            INSERT INTO post_edits (post_id, content, attachments, created_at) VALUES (?, ?, ?, ?)
+        `).run(existing.id, existing.content, JSON.stringify(existing.attachments), existing.updatedAt || existing.createdAt);
+    }
+
+    updatePost(id, { content }) {
+        return this.transaction(() => {
+            const existing = this.getPost(id);
+            if (!existing) return null;
+            this.saveEdit(existing);
+            this.db.prepare('UPDATE posts SET content = ?, updated_at = ? WHERE id = ?')
+                .run(content, new Date().toISOString(), id);
+            return this.getPost(id);
+        });
+    }
+
+    // Earlier versions of a post, newest first
+    getPostEdits(id) {
+        return this.db.prepare('SELECT * FROM post_edits WHERE post_id = ? ORDER BY id DESC').all(id).map(row => ({
+            content: row.content,
+            attachments: parseJson(row.attachments, []),
+            createdAt: row.created_at
+        }));
+    }
+
+    // Reactions and edit history go with the post; replies stay in place
+    deletePost(id) {
+        return this.db.prepare('DELETE FROM posts WHERE id = ?').run(id).changes > 0;
+    }
+
+    // Insert a post from another server, or refresh it when the author edits it.
+    // Local posts and other authors' posts with the same object id are left alone.
+    upsertRemotePost(post) {
+        const existing = this.getPostByIRI(post.objectId);
+        if (existing?.remote && existing.authorId === post.authorId && (existing.content !== post.content
+            || JSON.stringify(existing.attachments) !== JSON.stringify(post.attachments || []))) {
+            this.saveEdit(existing);
+        }
+        this.db.prepare(`
+            INSERT INTO posts (id, author, author_id, object_id, content, reply_to, in_reply_to, attachments, remote, visibility, recipients, content_warning, sensitive, created_at)
+            VALUES (@id, @author, @authorId, @objectId, @content, @replyTo, @inReplyTo, @attachments, 1, @visibility, @recipients, @contentWarning, @sensitive, @createdAt)
+            ON CONFLICT (object_id) DO UPDATE SET
+                content = excluded.content,
+                content_warning = excluded.content_warning,
+                sensitive = excluded.sensitive,
+                attachments = excluded.attachments,
+                visibility = excluded.visibility,
+                recipients = excluded.recipients,
+                reply_to = excluded.reply_to,
+                in_reply_to = excluded.in_reply_to,
+                updated_at = @updatedAt
+            WHERE posts.remote = 1 AND posts.author_id = excluded.author_id
+        `).run({
+            id: post.id,
+            author: post.author,
+            authorId: post.authorId,
+            objectId: post.objectId,
+            content: post.content,
+            replyTo: post.replyTo || null,
+            inReplyTo: post.inReplyTo || null,
+            attachments: JSON.stringify(post.attachments || []),
+            visibility: post.visibility || 'public',
+            recipients: JSON.stringify(post.recipients || []),
+            contentWarning: post.contentWarning || null,
+            sensitive: post.sensitive ? 1 : 0,
+            createdAt: post.createdAt,
+            updatedAt: new Date().toISOString()
+        });
+        return this.getPostByIRI(post.objectId);
+    }
+
+    updatePostFederation(id, { objectId, activityId }) {
+        this.db.prepare('UPDATE posts SET object_id = ?, activity_id = ? WHERE id = ?')
+            .run(objectId, activityId, id);
+    }
+
+    setBlueskyUris(id, blueskyUri, blueskyWebUrl) {
+        this.db.prepare('UPDATE posts SET bluesky_uri = ?, bluesky_web_url = ? WHERE id = ?')
+            .run(blueskyUri, blueskyWebUrl, id);
+    }
+
+    deleteRemotePost(objectId, authorId) {
+        return this.db.prepare('DELETE FROM posts WHERE remote = 1 AND object_id = ? AND author_id = ?')
+            .run(objectId, authorId).changes > 0;
+    }
+
+    getPost(id, viewerId = null) {
+        const row = this.db.prepare(`SELECT ${postColumns} FROM posts p ${postJoins} WHERE p.id = @id`).get({ id, viewerId });
+        return this.toPost(row);
+    }
+
+    // Same rules as visibleTo, for a post already loaded
+    canViewPost(post, viewerId) {
+        if (post.visibility === 'public' || post.visibility === 'unlisted') return true;
+        if (!viewerId) return false;
+        if (post.authorId === viewerId || post.recipients.includes(viewerId)) return true;
+        return post.visibility === 'followers' && this.isFollowing(viewerId, post.authorId);
+    }
+
+    // Find a post by the id of its Note or of the Create activity that published it
+    getPostByIRI(iri, { localOnly = false } = {}) {
+        const row = this.db.prepare(`
+            SELECT ${postColumns} FROM posts p ${postJoins}
+            WHERE (p.object_id = @iri OR p.activity_id = @iri) ${localOnly ? 'AND p.remote = 0' : ''}
+        `).get({ iri, viewerId: null });
+        return this.toPost(row);
+    }
+
+    /**
+     * One page of a home feed.
+     *   following - posts by the viewer and the accounts they follow, newest first
+     *   local / federated - public posts from this server / other servers, newest first
+     *   hot - every post, ranked by score with time decay
+     * Returns the posts and the cursor for the next page (null on the last page).
+     */
+    getTimeline({ source = 'local', viewerId = null, cursor = null, limit = 20 } = {}) {
+        const position = decodeCursor(cursor);
+        const params = { viewerId, limit: limit + 1 };
+
+        if (source === 'hot') {
+            // Ranks shift as posts age, so hot pages are counted by offset
+            params.offset = Number.isInteger(position?.offset) ? position.offset : 0;
+            const rows = this.db.prepare(`
+                SELECT ${postColumns} FROM posts p ${postJoins}
+                WHERE p.visibility = 'public' ${viewerId ? `AND ${notBlockedBy('@viewerId')}` : ''}
+                ORDER BY hot_rank(p.score, p.created_at) DESC, p.created_at DESC
+                LIMIT @limit OFFSET @offset
+            `).all(params);
+            const hasMore = rows.length > limit;
+            return {
+                posts: rows.slice(0, limit).map(row => this.toPost(row)),
+                nextCursor: hasMore ? encodeCursor({ offset: params.offset + limit }) : null
+            };
+        }
+
+        // Unlisted and followers-only posts only show up for people following the author
+        const filters = {
+            following: `(p.author_id = @viewerId
+                OR p.author_id IN (SELECT following FROM follows WHERE follower = @viewerId)
+                OR EXISTS (SELECT 1 FROM json_each(p.recipients) WHERE value = @viewerId)) AND ${visibleTo('@viewerId')}`,
+            local: "p.remote = 0 AND p.visibility = 'public'",
+            federated: "p.remote = 1 AND p.visibility = 'public'"
+        };
+        const conditions = [filters[source] || filters.local];
+        if (viewerId) conditions.push(notBlockedBy('@viewerId'));
+        if (position?.createdAt && position?.id) {
+            conditions.push('(p.created_at < @createdAt OR (p.created_at = @createdAt AND p.id < @id))');
+            params.createdAt = position.createdAt;
+            params.id = position.id;
+        }
+        const rows = this.db.prepare(`
+            SELECT ${postColumns} FROM posts p ${postJoins}
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY p.created_at DESC, p.id DESC
+            LIMIT @limit
+        `).all(params);
+        const posts = rows.slice(0, limit).map(row => this.toPost(row));
+        const last = posts[posts.length - 1];
+        return {
+            posts,
+            nextCursor: rows.length > limit ? encodeCursor({ createdAt: last.createdAt, id: last.id }) : null
+        };
+    }
+
+    // Posts the given post replies to, from the start of the thread down to its parent
+    getAncestors(id, viewerId = null) {
+        return this.db.prepare(`
+            WITH RECURSIVE ancestors (id, depth) AS (
+                SELECT parent.id, 1 FROM posts child JOIN posts parent ON ${isReplyTo('child', 'parent')}
+                WHERE child.id = @id
+                UNION
+                SELECT parent.id, a.depth + 1 FROM ancestors a
+                JOIN posts child ON child.id = a.id
+                JOIN posts parent ON ${isReplyTo('child', 'parent')}
+                WHERE a.depth < @maxDepth
+            )
+            SELECT ${postColumns} FROM ancestors a JOIN posts p ON p.id = a.id ${postJoins}
+            WHERE ${visibleTo('@viewerId')}
+            ORDER BY a.depth DESC
+        `).all({ id, viewerId, maxDepth: MAX_THREAD_DEPTH }).map(row => this.toPost(row));
+    }
+
+    // Every reply below the given post, nested under `replies`, oldest first.
+    // Replies the viewer can't see are left out along with everything under them.
+    getDescendants(id, viewerId = null) {
+        const rows = this.db.prepare(`
+            WITH RECURSIVE descendants (id, parent_id, depth) AS (
+                SELECT child.id, parent.id, 1 FROM posts parent JOIN posts child ON ${isReplyTo('child', 'parent')}
+                WHERE parent.id = @id
+                UNION
+                SELECT child.id, d.id, d.depth + 1 FROM descendants d
+                JOIN posts parent ON parent.id = d.id
+                JOIN posts child ON ${isReplyTo('child', 'parent')}
+                WHERE d.depth < @maxDepth
+            )
+            SELECT ${postColumns}, d.parent_id AS thread_parent_id FROM descendants d JOIN posts p ON p.id = d.id ${postJoins}
+            WHERE ${visibleTo('@viewerId')}
+            ORDER BY p.created_at
+        `).all({ id, viewerId, maxDepth: MAX_THREAD_DEPTH });
+
+        const byId = new Map([[id, { replies: [] }]]);
+        for (const row of rows) {
+            if (byId.has(row.id)) continue;
+            byId.set(row.id, { ...this.toPost(row), replies: [] });
+        }
+        for (const row of rows) {
+            // a reply cycle back to the starting post would never end when rendered
+            if (row.id === id) continue;
+            const parent = byId.get(row.thread_parent_id);
+            const reply = byId.get(row.id);
+            if (parent && reply && !parent.replies.includes(reply)) parent.replies.push(reply);
+        }
+        return byId.get(id).replies;
+    }
+
+    getPostsByAuthor(username, viewerId = null) {
+        return this.db.prepare(`
+            SELECT ${postColumns} FROM posts p ${postJoins}
+            WHERE p.remote = 0 AND p.author = @username AND ${visibleTo('@viewerId')}
+            ORDER BY p.created_at DESC
+        `).all({ username, viewerId }).map(row => this.toPost(row));
+    }
+
+    // --- Reactions ---
+
+    getReaction(postId, actorId, type) {
+        const row = this.db.prepare('SELECT * FROM reactions WHERE post_id = ? AND actor_id = ? AND type = ?')
+            .get(postId, actorId, type);
+        return row ? { postId: row.post_id, actorId: row.actor_id, type: row.type, activityId: row.activity_id } : null;
+    }
+
+    setReactionActivity(postId, actorId, type, activityId) {
+        this.db.prepare('UPDATE reactions SET activity_id = ? WHERE post_id = ? AND actor_id = ? AND type = ?')
+            .run(activityId, postId, actorId, type);
+    }
+
+    recountReactions(postId) {
+        this.db.prepare(`
+            UPDATE posts SET
+                like_count = (SELECT COUNT(*) FROM reactions WHERE post_id = @postId AND type = 'like'),
+                dislike_count = (SELECT COUNT(*) FROM reactions WHERE post_id = @postId AND type = 'dislike'),
+                share_count = (SELECT COUNT(*) FROM reactions WHERE post_id = @postId AND type = 'share')
+            WHERE id = @postId
+        `).run({ postId });
+        this.db.prepare('UPDATE posts SET score = like_count - dislike_count WHERE id = ?').run(postId);
+    }
+
+    // Replace an actor's like/dislike on a post. Returns the reaction it replaced.
+    setVote(postId, actorId, type, activityId = null) {
+        return this.transaction(() => {
+            const previous = this.db.prepare(`
+                SELECT type, activity_id FROM reactions
+                WHERE post_id = ? AND actor_id = ? AND type IN ('like', 'dislike')
+            `).get(postId, actorId);
+            this.db.prepare(`
+                DELETE FROM reactions WHERE post_id = ? AND actor_id = ? AND type IN ('like', 'dislike')
+            `).run(postId, actorId);
+            // Repeating the same vote keeps the activity that federated it
+            const keptActivityId = activityId || (previous?.type === type ? previous.activity_id : null);
+            this.db.prepare(`
+                INSERT INTO reactions (post_id, actor_id, type, activity_id, created_at) VALUES (?, ?, ?, ?, ?)
+            `).run(postId, actorId, type, keptActivityId, new Date().toISOString());
+            this.recountReactions(postId);
+            return previous ? { type: previous.type, activityId: previous.activity_id } : null;
+        });
+    }
+
+    addReaction(postId, actorId, type, activityId = null) {
+        this.transaction(() => {
+            this.db.prepare(`
+                INSERT INTO reactions (post_id, actor_id, type, activity_id, created_at) VALUES (?, ?, ?, ?, ?)
+                ON CONFLICT (post_id, actor_id, type) DO UPDATE SET activity_id = excluded.activity_id
+            `).run(postId, actorId, type, activityId, new Date().toISOString());
+            this.recountReactions(postId);
+        });
+    }
+
+    removeReaction(postId, actorId, type) {
+        this.transaction(() => {
+            this.db.prepare('DELETE FROM reactions WHERE post_id = ? AND actor_id = ? AND type = ?')
+                .run(postId, actorId, type);
+            this.recountReactions(postId);
+        });
+    }
+
+    // Posts the actor liked, most recently liked first
+    getLikedPosts(actorId, { limit = -1, offset = 0, viewerId = null } = {}) {
+        return this.db.prepare(`
+            SELECT ${postColumns} FROM reactions r JOIN posts p ON p.id = r.post_id ${postJoins}
+            WHERE r.actor_id = @actorId AND r.type = 'like' AND ${visibleTo('@viewerId')}
+            ORDER BY r.created_at DESC, p.id LIMIT @limit OFFSET @offset
+        `).all({ actorId, limit, offset, viewerId }).map(row => this.toPost(row));
+    }
+
+    // Counts only the liked posts the viewer can see, like getLikedPosts
+    countLiked(actorId, viewerId = null) {
+        return this.db.prepare(`
+            SELECT COUNT(*) AS count FROM reactions r JOIN posts p ON p.id = r.post_id
+            WHERE r.actor_id = @actorId AND r.type = 'like' AND ${visibleTo('@viewerId')}
+        `).get({ actorId, viewerId }).count;
+    }
+
+    // --- Follows ---
+
+    addFollow(follower, following, activityId = null) {
+        this.db.prepare(`
+            INSERT INTO follows (follower, following, activity_id, created_at) VALUES (?, ?, ?, ?)
+            ON CONFLICT (follower, following) DO UPDATE SET activity_id = COALESCE(excluded.activity_id, activity_id)
+        `).run(follower, following, activityId, new Date().toISOString());
+    }
+
+    removeFollow(follower, following) {
+        return this.db.prepare('DELETE FROM follows WHERE follower = ? AND following = ?')
+            .run(follower, following).changes > 0;
+    }
+
+    // Newest first; pass limit/offset for one page of a large collection
+    getFollowers(actorId, { limit = -1, offset = 0 } = {}) {
+        return this.db.prepare(`
+            SELECT follower FROM follows WHERE following = ? ORDER BY created_at DESC, follower LIMIT ? OFFSET ?
+        `).all(actorId, limit, offset).map(row => row.follower);
+    }
+
+    getFollowing(actorId, { limit = -1, offset = 0 } = {}) {
+        return this.db.prepare(`
+            SELECT following FROM follows WHERE follower = ? ORDER BY created_at DESC, following LIMIT ? OFFSET ?
+        `).all(actorId, limit, offset).map(row => row.following);
+    }
+
+    getFollow(follower, following) {
+        const row = this.db.prepare('SELECT * FROM follows WHERE follower = ? AND following = ?').get(follower, following);
+        return row ? { follower: row.follower, following: row.following, activityId: row.activity_id, createdAt: row.created_at } : null;
+    }
+
+    countFollowers(actorId) {
+        return this.db.prepare('SELECT COUNT(*) AS count FROM follows WHERE following = ?').get(actorId).count;
+    }
+
+    countFollowing(actorId) {
+        return this.db.prepare('SELECT COUNT(*) AS count FROM follows WHERE follower = ?').get(actorId).count;
+    }
+
+    isFollowing(follower, following) {
+        return !!this.db.prepare('SELECT 1 FROM follows WHERE follower = ? AND following = ?').get(follower, following);
+    }
+
+    addFollowRequest(follower, following, activityId = null) {
+        this.db.prepare(`
+            INSERT INTO follow_requests (follower, following, activity_id, created_at) VALUES (?, ?, ?, ?)
+            ON CONFLICT (follower, following) DO UPDATE SET activity_id = COALESCE(excluded.activity_id, activity_id)
+        `).run(follower, following, activityId, new Date().toISOString());
+    }
+
+    getFollowRequest(follower, following) {
+        const row = this.db.prepare('SELECT * FROM follow_requests WHERE follower = ? AND following = ?').get(follower, following);
+        return row ? { follower: row.follower, following: row.following, activityId: row.activity_id, createdAt: row.created_at } : null;
+    }
+
+    // Oldest first, so requests are answered in the order they came in
+    getFollowRequests(actorId) {
+        return this.db.prepare('SELECT * FROM follow_requests WHERE following = ? ORDER BY created_at')
+            .all(actorId)
+            .map(row => ({ follower: row.follower, following: row.following, activityId: row.activity_id, createdAt: row.created_at }));
+    }
+
+    countFollowRequests(actorId) {
+        return this.db.prepare('SELECT COUNT(*) AS count FROM follow_requests WHERE following = ?').get(actorId).count;
+    }
+
+    removeFollowRequest(follower, following) {
+        return this.db.prepare('DELETE FROM follow_requests WHERE follower = ? AND following = ?')
+            .run(follower, following).changes > 0;
+    }
+
+    // Turn a pending request into a follow; returns the request, or null if there was none
+    approveFollowRequest(follower, following) {
+        return this.transaction(() => {
+            const request = this.getFollowRequest(follower, following);
+            if (!request) return null;
+            this.removeFollowRequest(follower, following);
+            this.addFollow(follower, following, request.activityId);
+            return request;
+        });
+    }
+
+    // Whether any local user follows the given actor
+    hasLocalFollower(actorId) {
+        return !!this.db.prepare(`
+            SELECT 1 FROM follows f JOIN users u ON u.actor_id = f.follower WHERE f.following = ? LIMIT 1
+        `).get(actorId);
+    }
+
+    // --- Blocks ---
+
+    toBlock(row) {
+        if (!row) return null;
+        return { blocker: row.blocker, target: row.target, type: row.type, activityId: row.activity_id, createdAt: row.created_at };
+    }
+
+    addBlock(blocker, target, type, activityId = null) {
+        this.db.prepare(`
+            INSERT INTO blocks (blocker, target, type, activity_id, created_at) VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT (blocker, target) DO UPDATE SET activity_id = COALESCE(excluded.activity_id, activity_id)
+        `).run(blocker, target, type, activityId, new Date().toISOString());
+    }
+
+    getBlock(blocker, target) {
+        return this.toBlock(this.db.prepare('SELECT * FROM blocks WHERE blocker = ? AND target = ?').get(blocker, target));
+    }
+
+    getBlocks(blocker) {
+        return this.db.prepare('SELECT * FROM blocks WHERE blocker = ? ORDER BY created_at DESC')
+            .all(blocker).map(row => this.toBlock(row));
+    }
+
+    removeBlock(blocker, target) {
+        return this.db.prepare('DELETE FROM blocks WHERE blocker = ? AND target = ?').run(blocker, target).changes > 0;
+    }
+
+    // Whether the blocker blocked this actor, either directly or through its domain
+    isBlocked(blocker, actorId) {
+        return !!this.db.prepare(`
+            SELECT 1 FROM blocks WHERE blocker = ? AND (target = ? OR (type = 'domain' AND target = ?))
+        `).get(blocker, actorId, hostnameOf(actorId));
+    }
+
+    // --- Chat ---
+
+    toChatRoom(row) {
+        if (!row) return null;
+        const room = {
+            id: row.id,
+            type: row.type,
+            name: row.name,
+            createdBy: row.created_by,
+            slowMode: row.slow_mode,
+            wordFilter: parseJson(row.word_filter, []),
+            createdAt: row.created_at
+        };
+        if (row.role !== undefined) room.role = row.role;
+        if (row.unread !== undefined) room.unread = row.unread;
+        if (row.member_count !== undefined) room.memberCount = row.member_count;
+        if (row.last_message_at !== undefined) room.lastMessageAt = row.last_message_at;
+        return room;
+    }
+
+    toChatMessage(row) {
+        return {
+            id: row.id,
+            room: row.room,
+            author: row.author,
+            authorId: row.author_id,
+            objectId: row.object_id,
+            content: row.content,
+            timestamp: row.created_at
+        };
+    }
+
+    // The creator becomes the room's owner; other members join as members, with
+    // the first message unread even if it is sent within the same millisecond
+    createChatRoom({ id, type, name = null, createdBy, members = [] }) {
+        const now = new Date().toISOString();
+        return this.transaction(() => {
+            this.db.prepare(`
+                INSERT INTO chat_rooms (id, type, name, created_by, created_at) VALUES (?, ?, ?, ?, ?)
+            `).run(id, type, name, createdBy, now);
+            this.addChatMember(id, createdBy, 'owner');
+            for (const member of members) {
+                if (member !== createdBy) this.addChatMember(id, member, 'member', null);
+            }
+            return this.getChatRoom(id);
+        });
+    }
+
+    getChatRoom(id) {
+        return this.toChatRoom(this.db.prepare('SELECT * FROM chat_rooms WHERE id = ?').get(id));
+    }
+
+    // Joining starts with everything already there read
+    addChatMember(room, member, role = 'member', lastReadAt = new Date().toISOString()) {
+        return this.db.prepare(`
+            INSERT INTO chat_members (room, member, role, last_read_at, joined_at) VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT (room, member) DO NOTHING
+        `).run(room, member, role, lastReadAt, new Date().toISOString()).changes > 0;
+    }
+
+    removeChatMember(room, member) {
+        return this.db.prepare('DELETE FROM chat_members WHERE room = ? AND member = ?').run(room, member).changes > 0;
+    }
+
+    setChatRoomSettings(room, { slowMode, wordFilter }) {
+        this.db.prepare('UPDATE chat_rooms SET slow_mode = ?, word_filter = ? WHERE id = ?')
+            .run(slowMode, JSON.stringify(wordFilter), room);
+    }
+
+    setChatMemberRole(room, member, role) {
+        return this.db.prepare('UPDATE chat_members SET role = ? WHERE room = ? AND member = ?').run(role, room, member).changes > 0;
+    }
+
+    getChatMember(room, member) {
+        const row = this.db.prepare('SELECT * FROM chat_members WHERE room = ? AND member = ?').get(room, member);
+        return row ? { room: row.room, member: row.member, role: row.role, lastReadAt: row.last_read_at, joinedAt: row.joined_at } : null;
+    }
+
+    getChatMemberIds(room) {
+        return this.db.prepare('SELECT member FROM chat_members WHERE room = ? ORDER BY joined_at').all(room).map(row => row.member);
+    }
+
+    // Rooms the account belongs to, most recently active first, with unread counts
+    getChatRoomsFor(actorId) {
+        return this.db.prepare(`
+            SELECT r.*, m.role,
+                (SELECT COUNT(*) FROM chat_messages c
+                    WHERE c.room = r.id AND c.created_at > COALESCE(m.last_read_at, '')
+                        AND c.author_id IS NOT @actorId AND ${chatNotBlockedBy('@actorId')}) AS unread,
+                (SELECT MAX(c.created_at) FROM chat_messages c WHERE c.room = r.id) AS last_message_at
+            FROM chat_rooms r
+            JOIN chat_members m ON m.room = r.id AND m.member = @actorId
+            ORDER BY COALESCE(last_message_at, r.created_at) DESC
+        `).all({ actorId }).map(row => this.toChatRoom(row));
+    }
+
+    getPublicChatRooms() {
+        return this.db.prepare(`
+            SELECT r.*, (SELECT COUNT(*) FROM chat_members m WHERE m.room = r.id) AS member_count
+            FROM chat_rooms r WHERE r.type = 'public'
+            ORDER BY member_count DESC, r.created_at
+        `).all().map(row => this.toChatRoom(row));
+    }
+
+    // The direct conversation between exactly these accounts, if there is one
+    findDirectChatRoom(memberIds) {
+        const wanted = [...new Set(memberIds)].sort();
+        const rows = this.db.prepare(`
+            SELECT r.id, json_group_array(m.member) AS members
+            FROM chat_rooms r JOIN chat_members m ON m.room = r.id
+            WHERE r.type = 'direct' AND r.id IN (SELECT room FROM chat_members WHERE member = ?)
+            GROUP BY r.id
+        `).all(wanted[0]);
+        const match = rows.find(row => {
+            const members = JSON.parse(row.members).sort();
+            return members.length === wanted.length && members.every((member, index) => member === wanted[index]);
+        });
+        return match ? this.getChatRoom(match.id) : null;
+    }
+
+    markChatRead(room, member, at = new Date().toISOString()) {
+        this.db.prepare(`
+            UPDATE chat_members SET last_read_at = MAX(COALESCE(last_read_at, ''), ?) WHERE room = ? AND member = ?
+        `).run(at, room, member);
+    }
+
+    countUnreadChat(room, actorId) {
+        return this.db.prepare(`
+            SELECT COUNT(*) AS count FROM chat_messages c
+            JOIN chat_members m ON m.room = c.room AND m.member = @actorId
+            WHERE c.room = @room AND c.created_at > COALESCE(m.last_read_at, '')
+                AND c.author_id IS NOT @actorId AND ${chatNotBlockedBy('@actorId')}
+        `).get({ room, actorId }).count;
+    }
+
+    getChatMessage(id) {
+        const row = this.db.prepare('SELECT * FROM chat_messages WHERE id = ?').get(id);
+        return row ? this.toChatMessage(row) : null;
+    }
+
+    getChatMessageByObjectId(objectId) {
+        const row = this.db.prepare('SELECT * FROM chat_messages WHERE object_id = ?').get(objectId);
+        return row ? this.toChatMessage(row) : null;
+    }
+
+    // Note id of the room's latest federated message, for threading the next one
+    getLastChatObjectId(room) {
+        return this.db.prepare(`
+            SELECT object_id FROM chat_messages WHERE room = ? AND object_id IS NOT NULL
+            ORDER BY created_at DESC, id DESC LIMIT 1
+        `).get(room)?.object_id || null;
+    }
+
+    deleteChatMessage(id) {
+        return this.db.prepare('DELETE FROM chat_messages WHERE id = ?').run(id).changes > 0;
+    }
+
+    // When the author last wrote in the room, for slow mode
+    getLastChatMessageAt(room, authorId) {
+        return this.db.prepare('SELECT MAX(created_at) AS at FROM chat_messages WHERE room = ? AND author_id = ?')
+            .get(room, authorId).at;
+    }
+
+    addChatMessage(message) {
+        this.db.prepare(`
+            INSERT INTO chat_messages (id, room, author, author_id, object_id, content, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(message.id, message.room || GLOBAL_CHAT_ROOM, message.author, message.authorId || null,
+            message.objectId || null, message.content, message.timestamp);
+    }
+
+    // A page of a room's messages, oldest first, ending just before the `before`
+    // message (or at the newest); messages from accounts the viewer blocked are left out
+    getChatMessages(room, { before = null, limit = 50, viewerId = null } = {}) {
+        const rows = this.db.prepare(`
+            SELECT * FROM chat_messages c
+            WHERE c.room = @room AND ${chatNotBlockedBy('@viewerId')}
+                AND (@before IS NULL OR (c.created_at, c.id) < (SELECT created_at, id FROM chat_messages WHERE id = @before))
+            ORDER BY c.created_at DESC, c.id DESC
+            LIMIT @limit
+        `).all({ room, before, limit: limit + 1, viewerId });
+        return {
+            messages: rows.slice(0, limit).reverse().map(row => this.toChatMessage(row)),
+            hasMore: rows.length > limit
+        };
+    }
+
+    // --- Chat moderation ---
+
+    toChatRestriction(row) {
+        if (!row) return null;
+        return {
+            room: row.room,
+            member: row.member,
+            type: row.type,
+            until: row.until,
+            reason: row.reason,
+            createdBy: row.created_by,
+            createdAt: row.created_at
+        };
+    }
+
+    // A ban also takes the member out of the room
+    restrictChatMember({ room, member, type, until = null, reason = null, createdBy }) {
+        this.transaction(() => {
+            this.db.prepare(`
+                INSERT INTO chat_restrictions (room, member, type, until, reason, created_by, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+                ON CONFLICT (room, member, type) DO UPDATE SET
+                    until = excluded.until, reason = excluded.reason,
+                    created_by = excluded.created_by, created_at = excluded.created_at
+            `).run(room, member, type, until, reason, createdBy, new Date().toISOString());
+            if (type === 'ban') this.removeChatMember(room, member);
+        });
+    }
+
+    liftChatRestriction(room, member, type) {
+        return this.db.prepare('DELETE FROM chat_restrictions WHERE room = ? AND member = ? AND type = ?')
+            .run(room, member, type).changes > 0;
+    }
+
+    // The restriction in force, if any; expired ones are ignored
+    getChatRestriction(room, member, type, now = new Date().toISOString()) {
+        return this.toChatRestriction(this.db.prepare(`
+            SELECT * FROM chat_restrictions
+            WHERE room = ? AND member = ? AND type = ? AND (until IS NULL OR until > ?)
+        `).get(room, member, type, now));
+    }
+
+    getChatRestrictions(room, now = new Date().toISOString()) {
+        return this.db.prepare(`
+            SELECT * FROM chat_restrictions WHERE room = ? AND (until IS NULL OR until > ?)
+            ORDER BY created_at DESC
+        `).all(room, now).map(row => this.toChatRestriction(row));
+    }
+
+    addChatAuditEntry({ room, actor = null, action, target = null, detail = {} }) {
+        this.db.prepare(`
+            INSERT INTO chat_audit_log (room, actor, action, target, detail, created_at) VALUES (?, ?, ?, ?, ?, ?)
+        `).run(room, actor, action, target, JSON.stringify(detail), new Date().toISOString());
+    }
+
+    // Newest first
+    getChatAuditLog(room, limit = 100) {
+        return this.db.prepare('SELECT * FROM chat_audit_log WHERE room = ? ORDER BY id DESC LIMIT ?')
+            .all(room, limit)
+            .map(row => ({
+                id: row.id,
+                room: row.room,
+                actor: row.actor,
+                action: row.action,
+                target: row.target,
+                detail: parseJson(row.detail, {}),
+                createdAt: row.created_at
+            }));
+    }
+
+    // --- Media jobs ---
+
+    toMediaJob(row) {
+        if (!row) return null;
+        return {
+            id: row.id,
+            postId: row.post_id,
+            position: row.position,
+            filePath: row.file_path,
+            fileName: row.file_name,
+            originalName: row.original_name,
+            mimeType: row.mime_type,
+            size: row.size,
+            description: row.description,
+            status: row.status,
+            progress: row.progress,
+            attachment: parseJson(row.attachment, null),
+            error: row.error,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    // Queue a post's uploads (as stored by multer, plus their alt text) in order
+    addMediaJobs(postId, files) {
+        const now = new Date().toISOString();
+        const insert = this.db.prepare(`
+            INSERT INTO media_jobs (post_id, position, file_path, file_name, original_name, mime_type, size, description, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        this.transaction(() => files.forEach((file, position) => {
+            insert.run(postId, position, file.path, file.filename, file.originalname, file.mimetype || null,
+                file.size || 0, file.description || '', now, now);
+        }));
+    }
+
+    // Take the oldest pending job and mark it as being worked on
+    claimMediaJob() {
+        return this.transaction(() => {
+            const row = this.db.prepare(`
+                SELECT * FROM media_jobs WHERE status = 'pending' ORDER BY id LIMIT 1
+            `).get();
+            if (!row) return null;
+            this.db.prepare(`UPDATE media_jobs SET status = 'processing', updated_at = ? WHERE id = ?`)
+                .run(new Date().toISOString(), row.id);
+            return this.toMediaJob({ ...row, status: 'processing' });
+        });
+    }
+
+    setMediaJobProgress(id, progress) {
+        this.db.prepare('UPDATE media_jobs SET progress = ?, updated_at = ? WHERE id = ?')
+            .run(Math.max(0, Math.min(100, Math.round(progress))), new Date().toISOString(), id);
+    }
+
+    // False when the job is gone because its post was deleted meanwhile
+    completeMediaJob(id, attachment) {
+        return this.db.prepare(`
+            UPDATE media_jobs SET status = 'done', progress = 100, attachment = ?, updated_at = ? WHERE id = ?
+        `).run(JSON.stringify(attachment), new Date().toISOString(), id).changes > 0;
+    }
+
+    failMediaJob(id, error) {
+        this.db.prepare(`
+            UPDATE media_jobs SET status = 'failed', progress = 100, error = ?, updated_at = ? WHERE id = ?
+        `).run(error, new Date().toISOString(), id);
+    }
+
+    // Jobs that were being worked on when the server stopped start over
+    resetMediaJobs() {
+        return this.db.prepare(`
+            UPDATE media_jobs SET status = 'pending', progress = 0, updated_at = ? WHERE status = 'processing'
+        `).run(new Date().toISOString()).changes;
+    }
+
+    getMediaJobs(postId) {
+        return this.db.prepare('SELECT * FROM media_jobs WHERE post_id = ? ORDER BY position')
+            .all(postId).map(row => this.toMediaJob(row));
+    }
+
+    // Bytes of media a local account has stored, counting uploads still being
+    // converted at their uploaded size
+    getMediaUsage(actorId) {
+        const stored = this.db.prepare(`
+            SELECT COALESCE(SUM(json_extract(a.value, '$.size')), 0) AS bytes
+            FROM posts p, json_each(p.attachments) a
+            WHERE p.author_id = ? AND p.remote = 0
+        `).get(actorId).bytes;
+        const pending = this.db.prepare(`
+            SELECT COALESCE(SUM(j.size), 0) AS bytes FROM media_jobs j
+            JOIN posts p ON p.id = j.post_id
+            WHERE p.author_id = ? AND j.status IN ('pending', 'processing')
+        `).get(actorId).bytes;
+        return stored + pending;
+    }
+
+    // Point local posts (and their edit history) at a new media URL prefix
+    replaceMediaUrls(from, to) {
+        return this.transaction(() => {
+            const posts = this.db.prepare(`
+                UPDATE posts SET attachments = replace(attachments, @from, @to)
+                WHERE remote = 0 AND instr(attachments, @from) > 0
+            `).run({ from, to }).changes;
+            this.db.prepare(`
+                UPDATE post_edits SET attachments = replace(attachments, @from, @to)
+                WHERE instr(attachments, @from) > 0
+                    AND post_id IN (SELECT id FROM posts WHERE remote = 0)
+            `).run({ from, to });
+            return posts;
+        });
+    }
+
+    getProcessingPostIds() {
+        return this.db.prepare('SELECT id FROM posts WHERE processing = 1').all().map(row => row.id);
+    }
+
+    // Once none of a post's uploads are left to convert, attach the ones that
+    // worked and take the post out of processing. True only for the call that
+    // finished it, so it is published once.
+    finishMediaPost(postId) {
+        return this.transaction(() => {
+            const post = this.db.prepare('SELECT processing FROM posts WHERE id = ?').get(postId);
+            if (!post?.processing) return false;
+            const jobs = this.getMediaJobs(postId);
+            if (jobs.some(job => job.status === 'pending' || job.status === 'processing')) return false;
+            const attachments = jobs.filter(job => job.status === 'done').map(job => job.attachment);
+            const failed = jobs.filter(job => job.status === 'failed').length;
+            this.db.prepare('UPDATE posts SET attachments = ?, processing = 0, failed_media = ? WHERE id = ?')
+                .run(JSON.stringify(attachments), failed, postId);
+            this.db.prepare('DELETE FROM media_jobs WHERE post_id = ?').run(postId);
+            return true;
+        });
+    }
+
+    // --- Deliveries ---
+
+    toDelivery(row) {
+        if (!row) return null;
+        return {
+            id: row.id,
+            activityId: row.activity_id,
+            actorId: row.actor_id,
+            address: row.address,
+            body: row.body,
+            status: row.status,
+            attempts: row.attempts,
+            nextAttemptAt: row.next_attempt_at,
+            lastStatus: row.last_status,
+            lastError: row.last_error,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    // Queue an activity for each inbox; an inbox that already has this
+    // activity pending (e.g. a shared inbox reached twice) is skipped
+    enqueueDeliveries(actorId, activityId, body, addresses) {
+        const now = new Date().toISOString();
+        const insert = this.db.prepare(`
+            INSERT INTO deliveries (activity_id, actor_id, address, body, next_attempt_at, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT (activity_id, address) DO NOTHING
+        `);
+        return this.transaction(() => addresses.reduce((queued, address) => {
+            return queued + insert.run(activityId, actorId, address, body, now, now, now).changes;
+        }, 0));
+    }
+
+    // Oldest pending delivery that is due and whose inbox isn't backing off
+    getDueDelivery(now = new Date().toISOString()) {
+        const row = this.db.prepare(`
+            SELECT d.* FROM deliveries d
+            LEFT JOIN inbox_backoff b ON b.address = d.address
+            WHERE d.status = 'pending' AND d.next_attempt_at <= @now
+                AND (b.retry_at IS NULL OR b.retry_at <= @now)
+            ORDER BY d.next_attempt_at, d.id
+            LIMIT 1
+        `).get({ now });
+        return this.toDelivery(row);
+    }
+
+    // When the next pending delivery may be attempted, or null if none are left
+    getNextDeliveryTime() {
+        const row = this.db.prepare(`
+            SELECT MIN(MAX(d.next_attempt_at, COALESCE(b.retry_at, ''))) AS next_time
+            FROM deliveries d
+            LEFT JOIN inbox_backoff b ON b.address = d.address
+            WHERE d.status = 'pending'
+        `).get();
+        return row.next_time;
+    }
+
+    completeDelivery(id, address) {
+        this.transaction(() => {
+            this.db.prepare('DELETE FROM deliveries WHERE id = ?').run(id);
+            this.db.prepare('DELETE FROM inbox_backoff WHERE address = ?').run(address);
+        });
+    }
+
+    // Record a failed attempt. Retryable failures back the whole inbox off;
+    // after maxAttempts (or a permanent failure) the delivery is dead-lettered.
+    failDelivery(id, { address, statusCode = null, error, retryable, maxAttempts, backoff }) {
+        return this.transaction(() => {
+            const delivery = this.toDelivery(this.db.prepare('SELECT * FROM deliveries WHERE id = ?').get(id));
+            if (!delivery) return null;
+            const now = new Date();
+            const attempts = delivery.attempts + 1;
+            const failed = !retryable || attempts >= maxAttempts;
+
+            let nextAttemptAt = delivery.nextAttemptAt;
+            if (retryable) {
+                const inbox = this.db.prepare('SELECT failures FROM inbox_backoff WHERE address = ?').get(address);
+                const failures = (inbox?.failures || 0) + 1;
+                nextAttemptAt = new Date(now.getTime() + backoff(failures)).toISOString();
+                this.db.prepare(`
+                    INSERT INTO inbox_backoff (address, failures, retry_at) VALUES (?, ?, ?)
+                    ON CONFLICT (address) DO UPDATE SET failures = excluded.failures, retry_at = excluded.retry_at
+                `).run(address, failures, nextAttemptAt);
+            }
+            this.db.prepare(`
+                UPDATE deliveries SET status = ?, attempts = ?, next_attempt_at = ?, last_status = ?, last_error = ?, updated_at = ?
+                WHERE id = ?
+            `).run(failed ? 'failed' : 'pending', attempts, nextAttemptAt, statusCode, error, now.toISOString(), id);
+            return { ...delivery, status: failed ? 'failed' : 'pending', attempts, nextAttemptAt };
+        });
+    }
+
+    getDeliveries(status, limit = 100) {
+        return this.db.prepare(`
+            SELECT * FROM deliveries WHERE status = ? ORDER BY updated_at DESC LIMIT ?
+        `).all(status, limit).map(row => this.toDelivery(row));
+    }
+
+    getDeliveryCounts() {
+        const counts = { pending: 0, failed: 0 };
+        for (const row of this.db.prepare('SELECT status, COUNT(*) AS count FROM deliveries GROUP BY status').all()) {
+            counts[row.status] = row.count;
+        }
+        return counts;
+    }
+
+    getInboxBackoffs() {
+        return this.db.prepare('SELECT * FROM inbox_backoff ORDER BY retry_at DESC').all().map(row => ({
+            address: row.address,
+            failures: row.failures,
+            retryAt: row.retry_at
+        }));
+    }
+
+    // Put a dead-lettered delivery back in the queue for another round of attempts
+    retryDelivery(id) {
+        const now = new Date().toISOString();
+        return this.db.prepare(`
+            UPDATE deliveries SET status = 'pending', attempts = 0, next_attempt_at = ?, updated_at = ?
+            WHERE id = ? AND status = 'failed'
+        `).run(now, now, id).changes > 0;
+    }
+
+    deleteDelivery(id) {
+        return this.db.prepare('DELETE FROM deliveries WHERE id = ?').run(id).changes > 0;
+    }
+}
+
+module.exports = MayaSpaceDatabase;
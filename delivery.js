@@ -0,0 +1,106 @@
+// Outbound ActivityPub delivery. apex hands every (activity, inbox) pair to
+// the store, which queues it here; this worker signs and posts them with
+// apex.deliver, retrying per inbox with exponential backoff.
+
+const MAX_TIMEOUT = Math.pow(2, 31) - 1;
+
+class DeliveryQueue {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.maxAttempts = options.maxAttempts || 10;
+        this.baseDelay = options.baseDelay || 60 * 1000; // 1 minute
+        this.maxDelay = options.maxDelay || 24 * 60 * 60 * 1000; // 1 day
+        this.apex = null;
+        this.running = false;
+        this.timer = null;
+    }
+
+    // Delay before an inbox that failed `failures` times in a row is tried again
+    backoff(failures) {
+        return Math.min(this.baseDelay * Math.pow(2, failures - 1), this.maxDelay);
+    }
+
+    start(apex) {
+        this.apex = apex;
+        this.wake();
+    }
+
+    enqueue(actorId, body, addresses) {
+        if (!addresses || !addresses.length) return 0;
+        if (!Array.isArray(addresses)) addresses = [addresses];
+        const activityId = JSON.parse(body).id;
+        const queued = this.db.enqueueDeliveries(actorId, activityId, body, addresses);
+        this.wake();
+        return queued;
+    }
+
+    wake() {
+        if (!this.apex || this.running) return;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.run().catch(error => {
+            console.error('Delivery queue error:', error);
+            this.running = false;
+        });
+    }
+
+    async run() {
+        this.running = true;
+        let delivery;
+        while ((delivery = this.db.getDueDelivery())) {
+            await this.attempt(delivery);
+        }
+        this.running = false;
+
+        // Sleep until the earliest pending delivery (or inbox backoff) is due
+        const nextTime = this.db.getNextDeliveryTime();
+        if (nextTime) {
+            const wait = Math.max(new Date(nextTime).getTime() - Date.now(), 0);
+            this.timer = setTimeout(() => this.wake(), Math.min(wait, MAX_TIMEOUT));
+        }
+    }
+
+    async attempt(delivery) {
+        const { id, actorId, address, body } = delivery;
+        try {
+            // Keys are looked up at send time so they never sit in the queue
+            const actor = await this.apex.store.getObject(actorId, true);
+            if (!actor?._meta?.privateKey) {
+                throw Object.assign(new Error(`No signing key for ${actorId}`), { permanent: true });
+            }
+            const result = await this.apex.deliver(actorId, body, address, actor._meta.privateKey);
+            // apex skips localhost inboxes in production
+            const statusCode = result ? result.statusCode : 204;
+            if (statusCode < 400) {
+                this.db.completeDelivery(id, address);
+                return;
+            }
+            // 429 and 5xx may succeed later; any other 4xx won't
+            this.fail(delivery, {
+                statusCode,
+                error: `Request status ${statusCode}`,
+                retryable: statusCode === 429 || statusCode >= 500
+            });
+        } catch (error) {
+            this.fail(delivery, { error: error.message, retryable: !error.permanent });
+        }
+    }
+
+    fail(delivery, { statusCode, error, retryable }) {
+        const updated = this.db.failDelivery(delivery.id, {
+            address: delivery.address,
+            statusCode,
+            error,
+            retryable,
+            maxAttempts: this.maxAttempts,
+            backoff: failures => this.backoff(failures)
+        });
+        if (updated?.status === 'failed') {
+            console.error(`Delivery to ${delivery.address} failed permanently: ${error}`);
+        } else {
+            console.warn(`Delivery to ${delivery.address} failed (${error}), retrying at ${updated?.nextAttemptAt}`);
+        }
+    }
+}
+
+module.exports = DeliveryQueue;
@@ -1,21 +1,24 @@
 require('dotenv').config();
 const express = require('express');
-const { QuickDB } = require('quick.db');
 const bcrypt = require('bcrypt');
 const session = require('express-session');
 const SQLiteStore = require('connect-sqlite3')(session);
 const activitypub = require('activitypub-express');
 const sanitizeHtml = require('sanitize-html');
 const QuickDBStore = require('./store');
+const MayaSpaceDatabase = require('./database');
+const DeliveryQueue = require('./delivery');
+const { buildExport, readImport } = require('./archive');
+const { MediaQueue, MAX_ATTACHMENTS, processUpload, detectMediaType, sniffMediaType, setUploadHeaders } = require('./media');
+const { createStorage } = require('./storage');
+const { Roster, RateLimiter } = require('./chat');
+const { BlueskySessions, normalizeService } = require('./bluesky');
 const fs = require('fs');
 const path = require('path');
 const multer = require('multer');
-const sharp = require('sharp');
-const ffmpeg = require('fluent-ffmpeg');
 const crypto = require('crypto');
 const http = require('http');
 const { Server } = require('socket.io');
-const { BskyAgent } = require('@atproto/api');
 
 // Simple captcha system
 function generateCaptcha() {
@@ -58,40 +61,67 @@ const upload = multer({
     fileSize: 100 * 1024 * 1024 // 100MB limit
   }
 });
+// Local media storage, served as https://DOMAIN/uploads/<name>
+const UPLOADS_DIR = path.join('public', 'uploads');
 
 const app = express();
 const server = http.createServer(app);
 const io = new Server(server);
 const port = process.env.PORT || 3000;
 const DOMAIN = process.env.DOMAIN || 'localhost';
+// Processed media goes here: the uploads directory unless MEDIA_STORAGE says otherwise
+const mediaStorage = createStorage(process.env, { directory: UPLOADS_DIR, publicUrl: `https://${DOMAIN}/uploads` });
 
 // -- Database --
-const db = new QuickDB({ filePath: process.env.DATABASE_PATH || 'mayaspace.sqlite' });
-const apexStore = new QuickDBStore();
+const db = new MayaSpaceDatabase(process.env.DATABASE_PATH || 'mayaspace.db');
+// Outgoing activities wait here until their inbox accepts them
+const deliveryQueue = new DeliveryQueue(db, {
+    maxAttempts: parseInt(process.env.DELIVERY_MAX_ATTEMPTS) || undefined
+});
+// Uploads are converted in the background; their post is published once they're done
+const mediaQueue = new MediaQueue(db, {
+    storage: mediaStorage,
+    concurrency: parseInt(process.env.MEDIA_CONCURRENCY) || undefined,
+    onPostReady: postId => publishPost(db.getPost(postId)),
+    removeUploads: attachments => removeUploads(attachments)
+});
+// activitypub-express keeps its objects and activities in quick.db
+const apexStore = new QuickDBStore({
+    filePath: process.env.APEX_DATABASE_PATH || 'mayaspace.sqlite',
+    deliveryQueue
+});
+// Linked Bluesky accounts, with their app passwords and sessions encrypted.
+// There is no default key: one anybody could read wouldn't protect them.
+const blueskySessions = new BlueskySessions(db, {
+    secret: process.env.CREDENTIALS_SECRET || process.env.SESSION_SECRET,
+    service: process.env.BLUESKY_SERVICE
+});
+const ADMIN_USERS = (process.env.ADMIN_USERS || '').split(',').map(name => name.trim()).filter(Boolean);
+
+function isAdmin(user) {
+    return !!user && ADMIN_USERS.includes(user.username);
+}
 
 // -- App Settings --
 app.set('view engine', 'ejs');
+// Also serves media from before a move to other storage that hasn't been migrated yet
+app.use('/uploads', express.static(UPLOADS_DIR, { setHeaders: setUploadHeaders }));
 app.use(express.static('public'));
 app.use(express.urlencoded({ extended: true }));
-app.use(express.json());
-
-// Remove timeouts for upload processing
-app.use((req, res, next) => {
-  if (req.path === '/new-post') {
-    req.setTimeout(0); // No timeout
-    res.setTimeout(0); // No timeout
-  }
-  next();
-});
+// ActivityPub servers post activity+json / ld+json bodies to the inbox
+app.use(express.json({ type: ['application/json', 'application/activity+json', 'application/ld+json'] }));
 
 // Session configuration (must come before routes that use sessions)
-app.use(session({
+const sessionMiddleware = session({
     store: new SQLiteStore({ db: process.env.SESSIONS_DATABASE_PATH || 'sessions.sqlite', concurrentDB: true }),
     secret: process.env.SESSION_SECRET || 'a very secret key',
     resave: false,
     saveUninitialized: false,
     cookie: { maxAge: 7 * 24 * 60 * 60 * 1000 } // 1 week
-}));
+});
+app.use(sessionMiddleware);
+// Chat sockets read the same session, so they know who's logged in
+io.engine.use(sessionMiddleware);
 
 // API Routes
 // User search endpoint
@@ -109,18 +139,14 @@ app.get('/api/search/users', async (req, res) => {
     const results = [];
     
     // Search local users
-    const allUsers = await db.get('users') || {};
-    for (const [username, user] of Object.entries(allUsers)) {
-      if (username.toLowerCase().includes(q.toLowerCase()) || 
-          (user.displayName && user.displayName.toLowerCase().includes(q.toLowerCase()))) {
-        results.push({
-          id: user.actor.id,
-          username: username,
-          name: user.displayName || username,
-          domain: 'Local user',
-          type: 'local'
-        });
-      }
+    for (const user of db.searchUsers(q, 10)) {
+      results.push({
+        id: user.actor.id,
+        username: user.username,
+        name: user.displayName || user.username,
+        domain: 'Local user',
+        type: 'local'
+      });
     }
     
     // Search federated users (WebFinger lookup)
@@ -135,7 +161,8 @@ app.get('/api/search/users', async (req, res) => {
       }
     }
     
-    res.json(results.slice(0, 10)); // Limit to 10 results
+    const visible = results.filter(result => !db.isBlocked(req.session.user.id, result.id));
+    res.json(visible.slice(0, 10)); // Limit to 10 results
   } catch (error) {
     console.error('User search error:', error);
     res.status(500).json({ error: 'Search failed' });
@@ -154,45 +181,39 @@ app.post('/api/posts/react', async (req, res) => {
   }
   
   try {
-    const posts = await db.get('posts') || [];
-    const postIndex = posts.findIndex(p => p.id === postId);
+    const post = db.getPost(postId);
     
-    if (postIndex === -1) {
+    if (!post || !db.canViewPost(post, req.session.user.id)) {
       return res.status(404).json({ error: 'Post not found' });
     }
     
-    const post = posts[postIndex];
-    const userId = req.session.user.username;
-    
-    // Initialize reaction arrays if they don't exist
-    if (!post.likedBy) post.likedBy = [];
-    if (!post.dislikedBy) post.dislikedBy = [];
+    const { username, id: actorId } = req.session.user;
     
-    // Remove existing reactions from this user
-    post.likedBy = post.likedBy.filter(u => u !== userId);
-    post.dislikedBy = post.dislikedBy.filter(u => u !== userId);
+    // Replace this user's previous reaction and update the counts in one transaction
+    const previous = db.setVote(post.id, actorId, action);
+    const alreadyLiked = previous?.type === 'like';
     
-    // Add new reaction
-    if (action === 'like') {
-      post.likedBy.push(userId);
-    } else {
-      post.dislikedBy.push(userId);
+    // Federate the change for posts from other servers. Dislikes have no
+    // ActivityPub equivalent, so switching to one just undoes the Like.
+    if (post.remote && action === 'like' && !alreadyLiked) {
+      try {
+        db.setReactionActivity(post.id, actorId, 'like', await sendLike(username, post));
+      } catch (federationError) {
+        console.error('Federated like error:', federationError);
+      }
+    } else if (post.remote && action === 'dislike' && alreadyLiked && previous.activityId) {
+      try {
+        await sendUndoLike(username, post, previous.activityId);
+      } catch (federationError) {
+        console.error('Federated unlike error:', federationError);
+      }
     }
     
-    // Update counts
-    post.likes = post.likedBy.length;
-    post.dislikes = post.dislikedBy.length;
-    
-    // Calculate post score for sorting
-    post.score = post.likes - post.dislikes;
-    
-    posts[postIndex] = post;
-    await db.set('posts', posts);
-    
+    const updated = db.getPost(post.id);
     res.json({
-      likes: post.likes,
-      dislikes: post.dislikes,
-      score: post.score
+      likes: updated.likes,
+      dislikes: updated.dislikes,
+      score: updated.score
     });
   } catch (error) {
     console.error('Reaction error:', error);
@@ -212,7 +233,11 @@ app.post('/api/follow', async (req, res) => {
   }
   
   try {
-    const currentUser = req.session.user.username;
+    const currentActorId = req.session.user.id;
+    
+    if (db.isBlocked(currentActorId, userId)) {
+      return res.status(400).json({ error: 'Unblock this user before following them' });
+    }
     
     // Check if it's a local or remote user
     const isLocal = userId.includes(`https://${DOMAIN}/u/`);
@@ -220,50 +245,21 @@ app.post('/api/follow', async (req, res) => {
     if (isLocal) {
       // Handle local follow
       const targetUsername = userId.split('/u/')[1];
-      const targetUser = await db.get(`users.${targetUsername}`);
+      const targetUser = db.getUser(targetUsername);
       
       if (!targetUser) {
         return res.status(404).json({ error: 'User not found' });
       }
-      
-      // Add to local following list
-      const following = await db.get(`users.${currentUser}.following`) || [];
-      if (!following.includes(userId)) {
-        await db.push(`users.${currentUser}.following`, userId);
+      if (db.isBlocked(targetUser.actor.id, currentActorId)) {
+        return res.status(403).json({ error: 'You cannot follow this user' });
       }
       
-      // Add to target's followers
-      const followers = await db.get(`users.${targetUsername}.followers`) || [];
-      if (!followers.includes(`https://${DOMAIN}/u/${currentUser}`)) {
-        await db.push(`users.${targetUsername}.followers`, `https://${DOMAIN}/u/${currentUser}`);
+      if (followLocalAccount(req.session.user, targetUser)) {
+        return res.json({ success: true, pending: true });
       }
     } else {
       // Handle federated follow
-      const followActivity = {
-        '@context': 'https://www.w3.org/ns/activitystreams',
-        id: `https://${DOMAIN}/activities/${crypto.randomBytes(16).toString('hex')}`,
-        type: 'Follow',
-        actor: `https://${DOMAIN}/u/${currentUser}`,
-        object: userId,
-        published: new Date().toISOString()
-      };
-      
-      // Store the follow activity
-      await apex.store.saveActivity(followActivity);
-      
-      // Add to following list
-      const following = await db.get(`users.${currentUser}.following`) || [];
-      if (!following.includes(userId)) {
-        await db.push(`users.${currentUser}.following`, userId);
-      }
-      
-      // Send federated follow request
-      try {
-        await apex.net.activity.send(followActivity, currentUser);
-      } catch (federationError) {
-        console.error('Federation error:', federationError);
-        // Don't fail the whole request if federation fails
-      }
+      await followRemoteAccount(req.session.user, userId);
     }
     
     res.json({ success: true });
@@ -273,6 +269,38 @@ app.post('/api/follow', async (req, res) => {
   }
 });
 
+// Unfollow, remove follower, block and unblock endpoints
+const relationshipActions = {
+  unfollow: (user, userId) => unfollowAccount(user, userId),
+  'remove-follower': (user, userId) => removeFollower(user, userId),
+  block: (user, userId) => blockAccount(user, { actorId: userId }),
+  unblock: (user, userId) => unblockAccount(user, userId)
+};
+
+for (const [action, handler] of Object.entries(relationshipActions)) {
+  app.post(`/api/${action}`, async (req, res) => {
+    if (!req.session.user) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    
+    const { userId } = req.body;
+    if (!userId) {
+      return res.status(400).json({ error: 'User ID required' });
+    }
+    if (userId === req.session.user.id) {
+      return res.status(400).json({ error: 'You cannot do that to yourself' });
+    }
+    
+    try {
+      await handler(req.session.user, userId);
+      res.json({ success: true });
+    } catch (error) {
+      console.error(`${action} error:`, error);
+      res.status(500).json({ error: `Failed to ${action.replace('-', ' ')}` });
+    }
+  });
+}
+
 // Reply to post endpoint
 app.post('/reply', async (req, res) => {
   if (!req.session.user) {
@@ -293,36 +321,19 @@ app.post('/reply', async (req, res) => {
   }
   
   try {
-    const posts = await db.get('posts') || [];
-    const parentPost = posts.find(p => p.id === postId);
+    const parentPost = db.getPost(postId);
     
-    if (!parentPost) {
+    if (!parentPost || !db.canViewPost(parentPost, req.session.user.id)) {
       return res.status(404).send('Post not found');
     }
     
-    const replyId = crypto.randomBytes(16).toString('hex');
-    const reply = {
-      id: replyId,
-      author: req.session.user.username,
-      content,
-      createdAt: new Date().toISOString(),
-      replyTo: postId,
-      likes: 0,
-      dislikes: 0,
-      likedBy: [],
-      dislikedBy: [],
-      score: 0
-    };
-    
-    await db.push('posts', reply);
-    
-    // Bridge reply to Bluesky if both users have it enabled
-    try {
-      await bridgeReplyToBluesky(req.session.user.username, reply, parentPost);
-    } catch (error) {
-      console.error('Bluesky reply bridge error:', error);
-      // Don't fail the reply if Bluesky bridge fails
-    }
+    // Replies keep the parent's visibility and content warning, and go to
+    // everyone the parent was addressed to
+    const { visibility } = parentPost;
+    const recipients = visibility === 'public' || visibility === 'unlisted'
+      ? []
+      : [...new Set([parentPost.authorId, ...parentPost.recipients])].filter(actorId => actorId !== req.session.user.id);
+    await createPost(req.session.user, { content, parentPost, visibility, recipients, contentWarning: parentPost.contentWarning });
     
     res.redirect('/');
   } catch (error) {
@@ -342,49 +353,47 @@ async function searchFederatedUser(query) {
     }
     
     if (identifier.includes('@') && !identifier.startsWith('http')) {
-      // WebFinger lookup
       const [username, domain] = identifier.split('@').slice(-2);
       if (!username || !domain) return null;
       
-      const webfingerUrl = `https://${domain}/.well-known/webfinger?resource=acct:${username}@${domain}`;
-      
-      const response = await fetch(webfingerUrl, {
-        headers: {
-          'Accept': 'application/json'
-        },
-        timeout: 5000
-      });
-      
-      if (!response.ok) return null;
-      
-      const webfingerData = await response.json();
-      const actorLink = webfingerData.links?.find(link => 
-        link.rel === 'self' && link.type === 'application/activity+json'
-      );
-      
-      if (!actorLink) return null;
-      identifier = actorLink.href;
+      // Known accounts skip the WebFinger round trip
+      const known = db.getRemoteActorByHandle(username, domain);
+      if (known) {
+        identifier = known.id;
+      } else {
+        // WebFinger lookup
+        const webfingerUrl = `https://${domain}/.well-known/webfinger?resource=acct:${username}@${domain}`;
+        
+        const response = await fetch(webfingerUrl, {
+          headers: {
+            'Accept': 'application/json'
+          },
+          timeout: 5000
+        });
+        
+        if (!response.ok) return null;
+        
+        const webfingerData = await response.json();
+        const actorLink = webfingerData.links?.find(link => 
+          link.rel === 'self' && link.type === 'application/activity+json'
+        );
+        
+        if (!actorLink) return null;
+        identifier = actorLink.href;
+      }
     }
     
-    // Fetch actor data
-    const actorResponse = await fetch(identifier, {
-      headers: {
-        'Accept': 'application/activity+json, application/ld+json; profile="https://www.w3.org/ns/activitystreams"'
-      },
-      timeout: 5000
-    });
-    
-    if (!actorResponse.ok) return null;
-    
-    const actorData = await actorResponse.json();
+    // Cached profile, refreshed when it gets old
+    const actor = await fetchRemoteActor(identifier);
+    if (!actor) return null;
     
     return {
-      id: actorData.id,
-      username: actorData.preferredUsername,
-      name: actorData.name || actorData.preferredUsername,
-      domain: new URL(actorData.id).hostname,
+      id: actor.id,
+      username: actor.username,
+      name: actor.name || actor.username,
+      domain: actor.domain,
       type: 'federated',
-      summary: actorData.summary
+      summary: actor.summary
     };
   } catch (error) {
     console.error('Federated search error:', error);
@@ -394,25 +403,18 @@ async function searchFederatedUser(query) {
 
 // Bluesky bridge functionality
 async function bridgeToBluesky(username, post) {
-  const blueskySettings = await db.get(`users.${username}.blueskySettings`);
+  const blueskySettings = db.getUser(username)?.blueskySettings;
   
   if (!blueskySettings || !blueskySettings.enabled || !blueskySettings.handle || !blueskySettings.password) {
     return; // Bridge not enabled or configured
   }
   
   try {
-    console.log('Bridging post to Bluesky for user:', username);
-    console.log('Using handle:', JSON.stringify(blueskySettings.handle));
-    const agent = new BskyAgent({ service: 'https://bsky.social' });
+    // The stored session is reused; this only logs in when it can't be resumed
+    const agent = await blueskySessions.agentFor(username);
+    if (!agent) return;
     
-    const loginResult = await agent.login({
-      identifier: blueskySettings.handle,
-      password: blueskySettings.password
-    });
-    
-    console.log('Bluesky bridge login successful for:', blueskySettings.handle);
-    
-    let postText = post.content;
+    let postText = post.contentWarning ? `CW: ${post.contentWarning}\n\n${post.content}` : post.content;
     
     // Add source attribution
     postText += `\n\n— Posted from MayaSpace`;
@@ -423,33 +425,17 @@ async function bridgeToBluesky(username, post) {
       createdAt: new Date().toISOString()
     };
     
-    // Handle media attachments (basic implementation)
-    if (post.attachment && post.attachment.mediaType.startsWith('image/')) {
-      try {
-        // For now, we'll skip image uploads as they require more complex handling
-        // In a production environment, you'd want to download the image and upload it to Bluesky
-        console.log('Image attachment detected but not yet supported for Bluesky bridge');
-      } catch (mediaError) {
-        console.error('Media upload to Bluesky failed:', mediaError);
-      }
-    }
+    // Images aren't uploaded to Bluesky yet, so posts are mirrored as text
     
     const result = await agent.post(blueskyPost);
-    console.log('Successfully bridged post to Bluesky:', result.uri);
     
     // Convert AT Protocol URI to web URL for easier access
     const postId = result.uri.split('/').pop(); // Extract post ID from URI
     const webUrl = `https://bsky.app/profile/${blueskySettings.handle}/post/${postId}`;
-    console.log('Bluesky web URL:', webUrl);
     
-    // Update the post with both URIs for reference
-    const posts = await db.get('posts') || [];
-    const postIndex = posts.findIndex(p => p.id === post.id);
-    if (postIndex !== -1) {
-      posts[postIndex].blueskyUri = result.uri; // AT Protocol URI
-      posts[postIndex].blueskyWebUrl = webUrl;  // Human-readable web URL
-      await db.set('posts', posts);
-    }
+    // Update the post with both URIs for reference:
+    // the AT Protocol URI and the human-readable web URL
+    db.setBlueskyUris(post.id, result.uri, webUrl);
     
   } catch (error) {
     console.error('Bluesky bridge error for user', username, ':', error);
@@ -464,34 +450,19 @@ async function bridgeToBluesky(username, post) {
 
 // Bluesky bridge functionality for replies
 async function bridgeReplyToBluesky(replyUsername, reply, originalPost) {
-  console.log('=== CHECKING BLUESKY REPLY BRIDGE ===');
-  console.log('Reply author:', replyUsername);
-  console.log('Original post author:', originalPost.author);
-  
   // Get both users' Bluesky settings
-  const replyUserSettings = await db.get(`users.${replyUsername}.blueskySettings`);
-  const originalUserSettings = await db.get(`users.${originalPost.author}.blueskySettings`);
-  
-  console.log('Reply user has Bluesky enabled:', replyUserSettings?.enabled && replyUserSettings?.connected);
-  console.log('Original user has Bluesky enabled:', originalUserSettings?.enabled && originalUserSettings?.connected);
+  const replyUserSettings = db.getUser(replyUsername)?.blueskySettings;
+  const originalUserSettings = db.getUser(originalPost.author)?.blueskySettings;
   
   // Both users must have Bluesky bridge enabled and connected
   if (!replyUserSettings?.enabled || !replyUserSettings?.connected || 
       !originalUserSettings?.enabled || !originalUserSettings?.connected) {
-    console.log('Skipping Bluesky reply bridge - not both users have it enabled/connected');
     return;
   }
   
   try {
-    console.log('Bridging reply to Bluesky for user:', replyUsername);
-    const agent = new BskyAgent({ service: 'https://bsky.social' });
-    
-    const loginResult = await agent.login({
-      identifier: replyUserSettings.handle,
-      password: replyUserSettings.password
-    });
-    
-    console.log('Bluesky reply bridge login successful for:', replyUserSettings.handle);
+    const agent = await blueskySessions.agentFor(replyUsername);
+    if (!agent) return;
     
     // Create reply text with quoted original
     let replyText = `"${originalPost.content}" --@${originalPost.author}\n\n${reply.content}`;
@@ -506,32 +477,22 @@ async function bridgeReplyToBluesky(replyUsername, reply, originalPost) {
     };
     
     // If the original post was bridged to Bluesky, make this a proper reply
+    // (otherwise it goes out as a quote-style post)
     if (originalPost.blueskyUri) {
-      console.log('Making proper Bluesky reply to:', originalPost.blueskyUri);
       blueskyPost.reply = {
         root: originalPost.blueskyUri,
         parent: originalPost.blueskyUri
       };
-    } else {
-      console.log('Original post not on Bluesky, posting as quote-style post');
     }
     
     const result = await agent.post(blueskyPost);
-    console.log('Successfully bridged reply to Bluesky:', result.uri);
     
     // Convert AT Protocol URI to web URL
     const postId = result.uri.split('/').pop();
     const webUrl = `https://bsky.app/profile/${replyUserSettings.handle}/post/${postId}`;
-    console.log('Bluesky reply web URL:', webUrl);
     
     // Update the reply with Bluesky URIs
-    const posts = await db.get('posts') || [];
-    const replyIndex = posts.findIndex(p => p.id === reply.id);
-    if (replyIndex !== -1) {
-      posts[replyIndex].blueskyUri = result.uri;
-      posts[replyIndex].blueskyWebUrl = webUrl;
-      await db.set('posts', posts);
-    }
+    db.setBlueskyUris(reply.id, result.uri, webUrl);
     
   } catch (error) {
     console.error('Bluesky reply bridge error for user', replyUsername, ':', error);
@@ -555,6 +516,15 @@ const apex = activitypub({
     objectParam: 'id',
     activityParam: 'id',
     store: apexStore,
+    // Extension terms (as used by Mastodon) that apex would otherwise drop
+    context: {
+        manuallyApprovesFollowers: 'as:manuallyApprovesFollowers',
+        alsoKnownAs: { '@id': 'as:alsoKnownAs', '@type': '@id' },
+        movedTo: { '@id': 'as:movedTo', '@type': '@id' },
+        sensitive: 'as:sensitive',
+        toot: 'http://joinmastodon.org/ns#',
+        blurhash: 'toot:blurhash'
+    },
     endpoints: {
         proxyUrl: `https://${DOMAIN}/proxy`,
     },
@@ -578,6 +548,9 @@ const apex = activitypub({
 
 app.use((req, res, next) => {
     res.locals.sessionUser = req.session.user;
+    res.locals.isAdmin = isAdmin(req.session.user);
+    res.locals.followRequestCount = req.session.user ? db.countFollowRequests(req.session.user.id) : 0;
+    res.locals.expandContentWarnings = !!(req.session.user && db.getUser(req.session.user.username)?.expandContentWarnings);
     res.locals.apex = apex;
     res.locals.DOMAIN = DOMAIN;
     next();
@@ -595,6 +568,465 @@ app.use(
   apex
 );
 
+// Federation endpoints served by apex. The actor route falls through to the
+// HTML profile page below when a browser asks for it.
+app.get('/u/:username', apex.net.actor.get);
+app.route('/u/:username/inbox')
+    .get(apex.net.inbox.get)
+    .post(dropBlockedActivities, resolveNoteReactions, apex.net.inbox.post);
+// Only public and unlisted activities are listed for other servers
+app.get('/u/:username/outbox', apex.net.outbox.get);
+app.get('/u/:username/blocked', apex.net.blocked.get);
+app.get('/u/:username/rejected', apex.net.rejected.get);
+app.get('/u/:username/rejections', apex.net.rejections.get);
+app.get('/o/:id', apex.net.object.get);
+// Post permalinks serve the same Note to ActivityPub clients
+app.get('/posts/:id', redirectRemoteNotes, apex.net.object.get);
+app.get('/s/:id', apex.net.activityStream.get);
+app.get('/s/:id/likes', apex.net.likes.get);
+app.get('/s/:id/shares', apex.net.shares.get);
+app.get('/.well-known/webfinger', apex.net.webfinger.get);
+
+// -- Federation helpers --
+const PUBLIC_ADDRESS = 'https://www.w3.org/ns/activitystreams#Public';
+const POST_VISIBILITIES = ['public', 'unlisted', 'followers', 'direct'];
+const MAX_CONTENT_WARNING_LENGTH = 500;
+const MAX_DESCRIPTION_LENGTH = 1500;
+// Media each account may store; MEDIA_QUOTA_MB=0 turns the limit off
+const MEDIA_QUOTA_MB = parseInt(process.env.MEDIA_QUOTA_MB ?? '1024') || 0;
+
+function mediaQuotaLeft(user) {
+    return MEDIA_QUOTA_MB > 0 ? MEDIA_QUOTA_MB * 1024 * 1024 - db.getMediaUsage(user.id) : Infinity;
+}
+
+function exceedsMediaQuota(user, bytes) {
+    return bytes > mediaQuotaLeft(user);
+}
+
+// Save an activity to a local user's outbox and queue it for delivery.
+// Followers are tracked in our own database, so the followers collection
+// is expanded here instead of being looked up in the apex store.
+async function publishToOutbox(username, activity) {
+    const actor = await apex.store.getObject(apex.utils.usernameToIRI(username), true);
+    if (!actor) {
+        throw new Error(`No ActivityPub actor for ${username}`);
+    }
+    apex.addMeta(activity, 'collection', actor.outbox[0]);
+    await apex.store.saveActivity(activity);
+
+    const followers = db.getFollowers(actor.id);
+    const audience = apex.audienceFromActivity(activity)
+        .flatMap(address => address === firstValue(actor.followers) ? followers : [address])
+        .filter(address => !apex.isLocalIRI(address));
+    return apex.publishActivity(actor, activity, Array.from(new Set(audience)));
+}
+
+// Answer a remote account's Follow of a local user with an Accept or Reject
+async function respondToFollow(username, type, followerId, followId) {
+    const actorId = apex.utils.usernameToIRI(username);
+    const response = await apex.buildActivity(type, actorId, [followerId], {
+        object: { id: followId, type: 'Follow', actor: followerId, object: actorId }
+    });
+    if (type === 'Reject') {
+        const follow = await apex.store.getActivity(followId, true);
+        if (follow) await apex.store.updateActivityMeta(follow, 'collection', apex.utils.nameToRejectedIRI(username));
+    }
+    await publishToOutbox(username, response);
+}
+
+// Locked accounts approve their followers first; returns whether the follow is pending
+function followLocalAccount(user, targetUser) {
+    if (targetUser.manuallyApprovesFollowers) {
+        db.addFollowRequest(user.id, targetUser.actor.id);
+        return true;
+    }
+    // Record the follow for both users
+    db.addFollow(user.id, targetUser.actor.id);
+    return false;
+}
+
+// Follow a remote account: recorded straight away, the Follow is queued for delivery
+async function followRemoteAccount(user, targetId) {
+    const followActivity = await apex.buildActivity('Follow', user.id, [targetId], { object: targetId });
+    
+    // Add to following list
+    db.addFollow(user.id, targetId, followActivity.id);
+    // Cached so the following list can show who this is
+    await fetchRemoteActor(targetId);
+    
+    // Store the follow in the outbox and queue it for delivery
+    try {
+        await publishToOutbox(user.username, followActivity);
+    } catch (federationError) {
+        console.error('Federation error:', federationError);
+        // Don't fail the whole request if federation fails
+    }
+}
+
+// Follow any account by actor id, skipping ones already followed or blocked
+// either way. Used when followers move and when a following list is imported.
+async function followAccount(user, actorId) {
+    if (actorId === user.id || db.isFollowing(user.id, actorId) || db.isBlocked(user.id, actorId)) return false;
+    const localUser = db.getUserByActorId(actorId);
+    if (localUser) {
+        if (db.isBlocked(localUser.actor.id, user.id)) return false;
+        followLocalAccount(user, localUser);
+    } else if (apex.isLocalIRI(actorId)) {
+        return false;
+    } else {
+        await followRemoteAccount(user, actorId);
+    }
+    return true;
+}
+
+// Stop following an account, telling its server when it is remote
+async function unfollowAccount(user, targetId) {
+    const follow = db.getFollow(user.id, targetId);
+    db.removeFollow(user.id, targetId);
+    db.removeFollowRequest(user.id, targetId);
+    if (!follow || apex.isLocalIRI(targetId)) return;
+    const undo = await apex.buildActivity('Undo', user.id, [targetId], {
+        object: { ...(follow.activityId && { id: follow.activityId }), type: 'Follow', actor: user.id, object: targetId }
+    });
+    await publishToOutbox(user.username, undo);
+}
+
+// Drop one of the user's followers; remote servers get a Reject of the old Follow
+async function removeFollower(user, followerId) {
+    const follow = db.getFollow(followerId, user.id);
+    if (!follow) return;
+    db.removeFollow(followerId, user.id);
+    if (!apex.isLocalIRI(followerId)) {
+        await respondToFollow(user.username, 'Reject', followerId, follow.activityId);
+    }
+}
+
+// Block an actor (federated as Block) or a whole domain (kept local, like
+// Mastodon), ending any follows either way between the user and the target
+async function blockAccount(user, { actorId, domain }) {
+    const matches = domain ? id => new URL(id).hostname === domain : id => id === actorId;
+    for (const id of db.getFollowing(user.id).filter(matches)) {
+        await unfollowAccount(user, id);
+    }
+    for (const id of db.getFollowers(user.id).filter(matches)) {
+        db.removeFollow(id, user.id);
+    }
+    for (const request of db.getFollowRequests(user.id).filter(request => matches(request.follower))) {
+        db.removeFollowRequest(request.follower, user.id);
+    }
+
+    if (domain) {
+        db.addBlock(user.id, domain, 'domain');
+        return;
+    }
+    if (apex.isLocalIRI(actorId)) {
+        db.addBlock(user.id, actorId, 'actor');
+        return;
+    }
+    const block = await apex.buildActivity('Block', user.id, [actorId], { object: actorId });
+    // apex drops inbox activities from everyone in the blocked collection
+    apex.addMeta(block, 'collection', apex.utils.nameToBlockedIRI(user.username));
+    db.addBlock(user.id, actorId, 'actor', block.id);
+    await publishToOutbox(user.username, block);
+}
+
+async function unblockAccount(user, target) {
+    const block = db.getBlock(user.id, target);
+    if (!block) return;
+    db.removeBlock(user.id, target);
+    if (!block.activityId) return;
+    const stored = await apex.store.getActivity(block.activityId, true);
+    if (stored) await apex.store.removeActivity(stored, user.id);
+    const undo = await apex.buildActivity('Undo', user.id, [target], {
+        object: { id: block.activityId, type: 'Block', actor: user.id, object: target }
+    });
+    await publishToOutbox(user.username, undo);
+}
+
+// Activities from accounts or domains the recipient blocked are accepted and thrown away
+function dropBlockedActivities(req, res, next) {
+    const user = db.getUser(req.params.username);
+    const actorId = typeof req.body?.actor === 'string' ? req.body.actor : req.body?.actor?.id;
+    if (user && actorId && db.isBlocked(user.actor.id, actorId)) {
+        return res.status(202).end();
+    }
+    next();
+}
+
+// Escape plain-text post content for use as Note HTML
+function textToNoteHtml(text) {
+    const escaped = sanitizeHtml(text, { allowedTags: [], allowedAttributes: {}, disallowedTagsMode: 'escape' });
+    return `<p>${escaped.replace(/\r?\n/g, '<br>')}</p>`;
+}
+
+async function sendLike(username, post) {
+    const actorId = apex.utils.usernameToIRI(username);
+    const like = await apex.buildActivity('Like', actorId, [post.authorId], { object: post.objectId });
+    await publishToOutbox(username, like);
+    return like.id;
+}
+
+async function sendUndoLike(username, post, likeId) {
+    const actorId = apex.utils.usernameToIRI(username);
+    const undo = await apex.buildActivity('Undo', actorId, [post.authorId], {
+        object: { id: likeId, type: 'Like', actor: actorId, object: post.objectId }
+    });
+    await apex.store.removeActivity({ id: likeId }, actorId);
+    await publishToOutbox(username, undo);
+}
+
+// ActivityPub Note for a local post, served from /o/:id. Its visibility
+// decides the addressing, the same way Mastodon does it:
+//   public    - to Public, cc followers
+//   unlisted  - to followers, cc Public (kept off public timelines)
+//   followers - to followers only
+//   direct    - to the mentioned accounts only
+function postToNote(post, parentPost) {
+    const followers = apex.utils.nameToActorStreams(post.author.toLowerCase()).followers;
+    const mentioned = new Set(post.recipients || []);
+    if (parentPost?.remote) mentioned.add(parentPost.authorId);
+
+    const addressing = {
+        public: { to: [PUBLIC_ADDRESS], cc: [followers, ...mentioned] },
+        unlisted: { to: [followers], cc: [PUBLIC_ADDRESS, ...mentioned] },
+        followers: { to: [followers, ...mentioned], cc: [] },
+        direct: { to: [...mentioned], cc: [] }
+    }[post.visibility || 'public'];
+
+    const note = {
+        id: post.objectId,
+        type: 'Note',
+        attributedTo: post.authorId,
+        content: textToNoteHtml(post.content),
+        url: `https://${DOMAIN}/posts/${post.id}`,
+        published: post.createdAt,
+        ...addressing
+    };
+    // Mastodon shows `summary` as the content warning and blurs media when `sensitive` is set
+    if (post.contentWarning) {
+        note.summary = post.contentWarning;
+    }
+    note.sensitive = !!post.sensitive;
+    if (post.recipients?.length) {
+        note.tag = post.recipients.map(actorId => ({ type: 'Mention', href: actorId, name: `@${accountAddress(actorId)}` }));
+    }
+    if (post.updatedAt) {
+        note.updated = post.updatedAt;
+    }
+    if (parentPost?.objectId) {
+        note.inReplyTo = parentPost.objectId;
+    }
+    if (post.attachments.length) {
+        note.attachment = post.attachments.map(attachment => {
+            const document = { type: 'Document', mediaType: attachment.mediaType, url: attachment.url };
+            // Mastodon reads `name` as the alt text
+            if (attachment.name) document.name = attachment.name;
+            if (attachment.width && attachment.height) {
+                document.width = attachment.width;
+                document.height = attachment.height;
+            }
+            if (attachment.blurhash) document.blurhash = attachment.blurhash;
+            return document;
+        });
+    }
+    return note;
+}
+
+// Create a local post or reply: store it, publish it as a Create(Note) to
+// followers (and the parent's author) and mirror it to Bluesky.
+// Used by the post form, replies and anything else that posts for a user.
+async function createPost(user, { content, attachments = [], media = [], parentPost = null, visibility = 'public', recipients = [], contentWarning = null, sensitive = false }) {
+    const id = crypto.randomBytes(16).toString('hex');
+    const post = {
+        id,
+        author: user.username,
+        authorId: user.id,
+        objectId: apex.utils.objectIdToIRI(id),
+        content,
+        attachments,
+        replyTo: parentPost?.id,
+        inReplyTo: parentPost?.objectId,
+        visibility,
+        recipients,
+        contentWarning,
+        // Media behind a content warning is always hidden too
+        sensitive: sensitive || !!contentWarning,
+        // Posts with uploads are shown as processing until the media queue is done
+        processing: media.length > 0,
+        createdAt: new Date().toISOString()
+    };
+    db.createPost(post);
+
+    if (media.length) {
+        mediaQueue.enqueue(id, media);
+    } else {
+        await publishPost(db.getPost(id), parentPost);
+    }
+    return db.getPost(id);
+}
+
+// Send a stored local post to followers and mirror it to Bluesky
+async function publishPost(post, parentPost = noteParent(post)) {
+    if (!post) return;
+    try {
+        const note = postToNote(post, parentPost);
+        const create = await apex.buildActivity('Create', post.authorId, note.to, { object: note, cc: note.cc });
+        db.updatePostFederation(post.id, { objectId: post.objectId, activityId: create.id });
+        await apex.store.saveObject(create.object[0]);
+        await publishToOutbox(post.author, create);
+    } catch (error) {
+        console.error('Federation error:', error);
+        // The post is kept even if it can't be federated right now
+    }
+
+    // Bluesky has no private posts, so only public ones are mirrored
+    try {
+        if (post.visibility === 'public' && !parentPost) {
+            await bridgeToBluesky(post.author, post);
+        } else if (post.visibility === 'public' && parentPost.author && !parentPost.remote) {
+            // Bridge reply to Bluesky if both users have it enabled
+            await bridgeReplyToBluesky(post.author, post, parentPost);
+        }
+    } catch (error) {
+        console.error('Bluesky bridge error:', error);
+        // Don't fail the post if Bluesky bridge fails
+    }
+}
+
+// Parent to address a local post's Note to: the post it replies to, or just
+// the Note id for replies to posts we don't have (e.g. imported ones)
+function noteParent(post) {
+    const parentPost = post.replyTo ? db.getPost(post.replyTo) : null;
+    return parentPost || (post.inReplyTo ? { objectId: post.inReplyTo } : null);
+}
+
+// Change a local post's text, keeping the old version in its edit history,
+// and send the new Note to followers as an Update
+async function editPost(user, post, content) {
+    const updated = db.updatePost(post.id, { content });
+    const parentPost = noteParent(updated);
+
+    try {
+        const note = postToNote(updated, parentPost);
+        const update = await apex.buildActivity('Update', user.id, note.to, { object: note, cc: note.cc });
+        await apex.store.updateObject(update.object[0], user.id, true);
+        await publishToOutbox(user.username, update);
+    } catch (error) {
+        console.error('Federation error:', error);
+    }
+
+    try {
+        await updateBlueskyMirror(user.username, updated, parentPost);
+    } catch (error) {
+        console.error('Bluesky bridge error:', error);
+    }
+    return updated;
+}
+
+// Remove a local post and its uploaded media. The Note is replaced by a
+// Tombstone (served with 410 Gone) and followers are sent a Delete.
+async function deletePost(user, post) {
+    // Uploads still waiting to be converted go with it
+    const pending = db.getMediaJobs(post.id).filter(job => job.status === 'pending');
+    db.deletePost(post.id);
+    removeUploads(post.attachments);
+    discardUploads(pending.map(job => ({ path: job.filePath })));
+    // Still-processing posts were never sent anywhere
+    if (post.processing) return;
+
+    try {
+        const note = postToNote(post, noteParent(post));
+        const tombstone = await apex.buildTombstone({ id: post.objectId });
+        // Keeping the Note's audience means public posts answer 410 Gone
+        await apex.store.updateObject({ ...tombstone, formerType: 'Note', to: note.to, cc: note.cc }, user.id, true);
+        const remove = await apex.buildActivity('Delete', user.id, note.to, { object: tombstone, cc: note.cc });
+        await publishToOutbox(user.username, remove);
+    } catch (error) {
+        console.error('Federation error:', error);
+    }
+
+    try {
+        await deleteBlueskyMirror(user.username, post);
+    } catch (error) {
+        console.error('Bluesky bridge error:', error);
+    }
+}
+
+// Delete multer's temp files for uploads that won't be processed
+function discardUploads(files = []) {
+    for (const file of files) fs.unlink(file.path, () => {});
+}
+
+function removeUploads(attachments) {
+    for (const url of attachments.flatMap(attachment => [attachment.url, attachment.thumbnailUrl])) {
+        const name = mediaStorage.nameOf(url);
+        if (name) mediaStorage.remove(name).catch(error => console.error('Media storage error:', error));
+    }
+}
+
+// Bluesky posts can't be edited, so the mirrored post is replaced
+async function updateBlueskyMirror(username, post, parentPost) {
+    if (!post.blueskyUri) return;
+    await deleteBlueskyMirror(username, post);
+    if (parentPost?.author && !parentPost.remote) {
+        await bridgeReplyToBluesky(username, post, parentPost);
+    } else {
+        await bridgeToBluesky(username, post);
+    }
+}
+
+async function deleteBlueskyMirror(username, post) {
+    const blueskySettings = db.getUser(username)?.blueskySettings;
+    if (!post.blueskyUri || !blueskySettings?.handle || !blueskySettings?.password) return;
+
+    const agent = await blueskySessions.agentFor(username);
+    if (!agent) return;
+    await agent.deletePost(post.blueskyUri);
+    db.setBlueskyUris(post.id, null, null);
+}
+
+// A federated post's Note lives on its own server, so send clients there
+function redirectRemoteNotes(req, res, next) {
+    if (req.accepts(apex.consts.jsonldTypes) && !req.accepts('text/html')) {
+        const post = db.getPost(req.params.id);
+        if (post?.remote) return res.redirect(post.objectId);
+    }
+    next();
+}
+
+// Mastodon likes and boosts point at our Note, but apex expects the Create
+// activity carrying it so the reaction lands in its likes/shares collection
+async function resolveNoteReactions(req, res, next) {
+    if (['Like', 'Announce'].includes(req.body?.type)) {
+        try {
+            const target = typeof req.body.object === 'string' ? req.body.object : req.body.object?.id;
+            const post = target && db.getPostByIRI(target, { localOnly: true });
+            if (post?.activityId) {
+                req.body.object = post.activityId;
+            }
+        } catch (error) {
+            return next(error);
+        }
+    }
+    next();
+}
+
+// Count a Like or Announce from another server on the local post it targets
+async function recordRemoteReaction(actorId, type, target, undo = false) {
+    const targetId = typeof target === 'string' ? target : target?.id;
+    if (!targetId) return;
+
+    const post = db.getPostByIRI(targetId, { localOnly: true });
+    if (!post) return;
+
+    const reaction = type === 'Like' ? 'like' : 'share';
+    if (undo) {
+        db.removeReaction(post.id, actorId, reaction);
+    } else {
+        db.addReaction(post.id, actorId, reaction);
+    }
+}
+
 // Captcha endpoint with canvas image
 app.get('/api/captcha', (req, res) => {
   const captcha = generateCaptcha();
@@ -700,197 +1132,107 @@ function generateCaptchaImage(text) {
 }
 
 // -- Routes --
+const feedFilters = ['following', 'local', 'federated', 'hot'];
+
 app.get('/', async (req, res) => {
-    const posts = await db.get('posts') || [];
-    
-    // Initialize missing reaction data and calculate scores
-    const postsWithScores = posts.map(post => {
-        if (!post.likedBy) post.likedBy = [];
-        if (!post.dislikedBy) post.dislikedBy = [];
-        if (typeof post.likes !== 'number') post.likes = post.likedBy.length;
-        if (typeof post.dislikes !== 'number') post.dislikes = post.dislikedBy.length;
-        if (typeof post.score !== 'number') post.score = post.likes - post.dislikes;
-        return post;
-    });
-    
-    // Sort posts by score (likes - dislikes) first, then by creation time
-    // Higher score means higher position
-    // Now includes replies with quoted original posts
-    const sortedPosts = postsWithScores.sort((a, b) => {
-        // Primary sort: by score (likes - dislikes)
-        const scoreDiff = b.score - a.score;
-        if (scoreDiff !== 0) return scoreDiff;
-        
-        // Secondary sort: by creation time (newest first)
-        return new Date(b.createdAt) - new Date(a.createdAt);
-    });
-    
-    // Add quoted post information for replies
-    const postsWithQuotes = sortedPosts.map(post => {
-        if (post.replyTo) {
-            // Find the original post this is replying to
-            const originalPost = postsWithScores.find(p => p.id === post.replyTo);
-            if (originalPost) {
-                post.quotedPost = {
-                    content: originalPost.content,
-                    author: originalPost.author,
-                    createdAt: originalPost.createdAt
-                };
-            }
-        }
-        return post;
+    const sessionUser = req.session.user;
+    let feed = feedFilters.includes(req.query.feed) ? req.query.feed : (sessionUser ? 'following' : 'local');
+    // The following feed needs someone to follow from
+    if (feed === 'following' && !sessionUser) feed = 'local';
+
+    // One page at a time; replies come with the post they answer as quotedPost
+    const { posts, nextCursor } = db.getTimeline({
+        source: feed,
+        viewerId: sessionUser?.id,
+        cursor: req.query.cursor
     });
     
     res.render('home', { 
         title: 'Welcome to MayaSpace',
-        posts: postsWithQuotes
+        posts,
+        feed,
+        nextCursor,
+        maxAttachments: MAX_ATTACHMENTS,
+        error: req.query.error || null
     });
 });
 
-app.post('/new-post', upload.single('media'), async (req, res) => {
+// Multer errors (too many files, too large) are the client's fault, not a crash
+function acceptMedia(req, res, next) {
+  upload.array('media', MAX_ATTACHMENTS)(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).send(error.code === 'LIMIT_UNEXPECTED_FILE'
+        ? `You can attach up to ${MAX_ATTACHMENTS} files`
+        : error.message);
+    }
+    next(error);
+  });
+}
+
+app.post('/new-post', acceptMedia, async (req, res) => {
   if (!req.session.user) {
+    discardUploads(req.files);
     return res.redirect('/login');
   }
+  const reject = (message, status = 400) => {
+    discardUploads(req.files);
+    res.status(status).send(message);
+  };
 
   const { content, captcha } = req.body;
+  const visibility = req.body.visibility || 'public';
+  const contentWarning = (req.body.contentWarning || '').trim() || null;
+  const sensitive = req.body.sensitive === 'on';
   
   // Verify captcha
   if (!verifyCaptcha(captcha, req.session.captchaAnswer)) {
-    return res.status(400).send('Invalid captcha. Please try again.');
+    return reject('Invalid captcha. Please try again.');
   }
   
   // Clear captcha from session after use
   delete req.session.captchaAnswer;
   if (!content) {
-    return res.status(400).send('Content is required');
+    return reject('Content is required');
   }
-
-  let mediaPath = null;
-  if (req.file) {
-    const ext = path.extname(req.file.originalname).toLowerCase();
-    const tempPath = req.file.path;
-    
-    // Ensure uploads directory exists
-    const uploadsDir = path.join('public', 'uploads');
-    if (!fs.existsSync(uploadsDir)) {
-      fs.mkdirSync(uploadsDir, { recursive: true });
-    }
-    
-    const targetPath = path.join('public', 'uploads', req.file.filename);
-    mediaPath = req.file.filename;
-
-    if (['.jpg', '.jpeg', '.png'].includes(ext)) {
-      const outputPath = targetPath + '.webp';
-      mediaPath += '.webp';
-      await sharp(tempPath).webp({ quality: 80 }).toFile(outputPath);
-      fs.unlinkSync(tempPath); // Clean up original upload
-    } else if (ext === '.gif') {
-      const outputPath = targetPath + '.gif';
-      mediaPath += '.gif';
-      await new Promise((resolve, reject) => {
-        ffmpeg(tempPath)
-          .outputOptions([
-            '-vf', 'scale=iw*0.7:ih*0.7', // Scale to 70% of original dimensions
-            '-q:v', '20' // Quality setting (lower is better, 1-31 range, ~20 gives 80% quality)
-          ])
-          .toFormat('gif')
-          .on('end', () => resolve())
-          .on('error', (err) => reject(err))
-          .save(outputPath);
-      }).finally(() => fs.unlinkSync(tempPath));
-    } else if (['.mp4', '.mov', '.webm'].includes(ext)) {
-      const outputPath = targetPath + '.mp4';
-      mediaPath += '.mp4';
-      await new Promise((resolve, reject) => {
-        ffmpeg(tempPath)
-          .videoCodec('libx264')
-          .audioCodec('aac')
-          .toFormat('mp4')
-          .on('end', () => resolve())
-          .on('error', (err) => reject(err))
-          .save(outputPath);
-      }).finally(() => fs.unlinkSync(tempPath));
-    } else {
-       fs.renameSync(tempPath, targetPath);
-    }
+  if (!POST_VISIBILITIES.includes(visibility)) {
+    return reject('Invalid visibility');
+  }
+  if (contentWarning && contentWarning.length > MAX_CONTENT_WARNING_LENGTH) {
+    return reject(`Content warnings can be at most ${MAX_CONTENT_WARNING_LENGTH} characters`);
   }
 
+  // Private posts are also delivered to the accounts they mention
+  const recipients = visibility === 'public' || visibility === 'unlisted'
+    ? []
+    : (await resolveMentions(content)).filter(actorId => actorId !== req.session.user.id);
+  if (visibility === 'direct' && !recipients.length) {
+    return reject('Mention at least one account (e.g. @user@example.social) to send a direct post');
+  }
 
-  const id = crypto.randomBytes(16).toString('hex');
-  const post = {
-    id,
-    author: req.session.user.username,
-    content,
-    createdAt: new Date().toISOString()
-  };
-  
-  // Add attachment if media was uploaded
-  if (mediaPath) {
-    const mediaUrl = `https://${DOMAIN}/uploads/${mediaPath}`;
-    let mimeType = 'image/webp';
-    if (mediaPath.endsWith('.mp4')) {
-      mimeType = 'video/mp4';
-    } else if (mediaPath.endsWith('.gif')) {
-      mimeType = 'image/gif';
-    }
-    post.attachment = {
-      mediaType: mimeType,
-      url: mediaUrl
-    };
+  // Files are checked by their contents; the name and browser-sent type can't be trusted
+  const files = req.files || [];
+  const types = files.map(file => detectMediaType(file.path));
+  if (types.some(type => !type)) {
+    return reject('Only JPEG, PNG, GIF and WebP images and MP4, MOV and WebM videos can be attached');
+  }
+  if (exceedsMediaQuota(req.session.user, files.reduce((total, file) => total + file.size, 0))) {
+    return reject(`These files would take you over your ${MEDIA_QUOTA_MB} MB of media storage`, 413);
   }
-  
-  await db.push('posts', post);
 
-  // Bridge to Bluesky if enabled
+  // Alt text fields come in the same order as the files
+  const descriptions = [].concat(req.body.alt || []);
+  const media = files.map((file, index) => ({
+    ...file,
+    mimetype: types[index].mediaType,
+    description: (descriptions[index] || '').trim().slice(0, MAX_DESCRIPTION_LENGTH)
+  }));
+  
   try {
-    await bridgeToBluesky(req.session.user.username, post);
+    await createPost(req.session.user, { content, media, visibility, recipients, contentWarning, sensitive });
   } catch (error) {
-    console.error('Bluesky bridge error:', error);
-    // Don't fail the post if Bluesky bridge fails
-  }
-
-  // Federate post
-  if (process.env.APEX_DOMAIN) {
-    const note = {
-      '@context': 'https://www.w3.org/ns/activitystreams',
-      id: `${process.env.APEX_URL}/posts/${post.id}`,
-      type: 'Note',
-      published: new Date().toISOString(),
-      attributedTo: `${process.env.APEX_URL}/u/${req.session.user.username}`,
-      content: `<p>${post.content}</p>`,
-      to: ['https://www.w3.org/ns/activitystreams#Public'],
-      cc: [`${process.env.APEX_URL}/u/${req.session.user.username}/followers`]
-    };
-    if (post.attachment) {
-      note.attachment = [{
-        type: 'Document',
-        mediaType: post.attachment.mediaType,
-        url: post.attachment.url.replace(`https://${DOMAIN}`, process.env.APEX_URL || `https://${DOMAIN}`),
-        name: 'attachment'
-      }];
-    }
-    const actorName = req.session.user.username;
-    // Manually invoke the outbox post handler
-    const mockReq = { ...req, body: note, params: { actor: actorName } };
-    const mockRes = {
-      locals: res.locals,
-      status: (code) => {
-        console.log(`Federation returned status ${code} for ${post.id}`);
-        return {
-          json: (data) => {
-            if (!res.headersSent) res.redirect('/');
-          }
-        }
-      },
-      json: (data) => {
-         if (!res.headersSent) res.redirect('/');
-      }
-    };
-    const next = (err) => {
-      if (err) console.error('Federation error', err);
-      if (!res.headersSent) res.redirect('/');
-    };
-    return apex.net.outbox.post(mockReq, mockRes, next);
+    console.error('New post error:', error);
+    discardUploads(req.files);
+    return res.redirect(`/?error=${encodeURIComponent('Your post could not be created. Please try again.')}`);
   }
   res.redirect('/');
 });
@@ -914,16 +1256,16 @@ app.post('/register', async (req, res) => {
     delete req.session.captchaAnswer;
     if (!username || !password) return res.status(400).send("Username and password are required.");
 
-    const existingUser = await db.get(`users.${username}`);
+    const existingUser = db.getUser(username);
     if (existingUser) return res.status(400).send("User already exists.");
 
     const hashedPassword = await bcrypt.hash(password, 10);
     const actor = await apex.createActor(username, username, 'A MayaSpace user');
     
-    // Add collections to the actor
-    actor.followers = `https://${DOMAIN}/u/${username}/followers`;
-    actor.following = `https://${DOMAIN}/u/${username}/following`;
-    actor.liked = `https://${DOMAIN}/u/${username}/liked`;
+    // Add collections to the actor (as arrays, like every other apex property)
+    actor.followers = [`https://${DOMAIN}/u/${username}/followers`];
+    actor.following = [`https://${DOMAIN}/u/${username}/following`];
+    actor.liked = [`https://${DOMAIN}/u/${username}/liked`];
 
     const user = {
         username,
@@ -931,7 +1273,7 @@ app.post('/register', async (req, res) => {
         actor: actor,
         createdAt: new Date().toISOString()
     };
-    await db.set(`users.${username}`, user);
+    db.createUser(user);
     await apexStore.saveObject(actor);
 
     res.redirect('/login');
@@ -954,7 +1296,7 @@ app.post('/login', async (req, res) => {
     
     // Clear captcha from session after use
     delete req.session.captchaAnswer;
-    const user = await db.get(`users.${username}`);
+    const user = db.getUser(username);
     if (!user) return res.status(400).send("Invalid username or password.");
 
     const match = await bcrypt.compare(password, user.password);
@@ -969,18 +1311,48 @@ app.post('/login', async (req, res) => {
     }
 });
 
+// Profile CSS is reduced to a safe subset of properties
+function sanitizeCustomCss(customCss) {
+    return sanitizeHtml(customCss, {
+        allowedTags: [],
+        allowedAttributes: {},
+        allowedStyles: {
+            '*': {
+                // Allow all text and layout styling
+                'color': [/^#(0x)?[0-9a-f]+$/i, /^rgb\(\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*\)$/],
+                'background-color': [/^#(0x)?[0-9a-f]+$/i, /^rgb\(\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*\)$/],
+                'font-size': [/^\d+px$/],
+                'font-family': [/^[\s\w,-]+$/],
+                'text-align': [/^left$/, /^right$/, /^center$/],
+                'text-decoration': [/^none$/, /^underline$/, /^overline$/, /^line-through$/],
+                'border': [/^\d+px\s(solid|dashed|dotted)\s(rgb\(\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*\)|#([0-9a-f]{3}){1,2})$/],
+                'padding': [/^\d+px$/],
+                'margin': [/^\d+px$/],
+            }
+        }
+    });
+}
+
 app.get('/settings', async (req, res) => {
     if (!req.session.user) return res.redirect('/login');
-    const user = await db.get(`users.${req.session.user.username}`);
-    const blueskySettings = await db.get(`users.${req.session.user.username}.blueskySettings`) || {};
+    const user = db.getUser(req.session.user.username);
+    // The page only needs to know whether a password is saved, never the password
+    const { password, session, ...blueskySettings } = user.blueskySettings || {};
+    blueskySettings.hasPassword = !!password;
     const captcha = generateCaptcha();
     req.session.captchaAnswer = captcha.answer;
-    res.render('settings', { title: 'Settings', user, blueskySettings, captcha: captcha.question });
+    res.render('settings', {
+        title: 'Settings',
+        user,
+        blueskySettings,
+        defaultBlueskyService: blueskySessions.service,
+        captcha: captcha.question
+    });
 });
 
 app.post('/settings', async (req, res) => {
     if (!req.session.user) return res.status(401).send('Unauthorized');
-    const { displayName, bio, customCss, blueskyHandle, blueskyPassword, enableBlueskyBridge, captcha } = req.body;
+    const { displayName, bio, customCss, blueskyHandle, blueskyPassword, blueskyService, enableBlueskyBridge, manuallyApprovesFollowers, expandContentWarnings, captcha } = req.body;
     const { username } = req.session.user;
     
     // Verify captcha
@@ -991,65 +1363,62 @@ app.post('/settings', async (req, res) => {
     // Clear captcha from session after use
     delete req.session.captchaAnswer;
 
-    const sanitizedCss = sanitizeHtml(customCss, {
-        allowedTags: [],
-        allowedAttributes: {},
-        allowedStyles: {
-            '*': {
-                // Allow all text and layout styling
-                'color': [/^#(0x)?[0-9a-f]+$/i, /^rgb\(\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*\)$/],
-                'background-color': [/^#(0x)?[0-9a-f]+$/i, /^rgb\(\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*\)$/],
-                'font-size': [/^\d+px$/],
-                'font-family': [/^[\s\w,-]+$/],
-                'text-align': [/^left$/, /^right$/, /^center$/],
-                'text-decoration': [/^none$/, /^underline$/, /^overline$/, /^line-through$/],
-                'border': [/^\d+px\s(solid|dashed|dotted)\s(rgb\(\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*\)|#([0-9a-f]{3}){1,2})$/],
-                'padding': [/^\d+px$/],
-                'margin': [/^\d+px$/],
+    const sanitizedCss = sanitizeCustomCss(customCss);
+    
+    db.updateUserProfile(username, { displayName, bio, customCss: sanitizedCss });
+    db.setExpandContentWarnings(username, expandContentWarnings === 'on');
+
+    // Unlocking an account lets everyone who was waiting in
+    const locked = manuallyApprovesFollowers === 'on';
+    db.setManuallyApprovesFollowers(username, locked);
+    if (!locked) {
+        for (const request of db.getFollowRequests(req.session.user.id)) {
+            db.approveFollowRequest(request.follower, request.following);
+            if (apex.isLocalIRI(request.follower)) continue;
+            try {
+                await respondToFollow(username, 'Accept', request.follower, request.activityId);
+            } catch (error) {
+                console.error('Follow response error:', error);
             }
         }
-    });
-    
-    await db.set(`users.${username}.displayName`, displayName);
-    await db.set(`users.${username}.bio`, bio);
-    await db.set(`users.${username}.customCss`, sanitizedCss);
+    }
 
-    // Handle Bluesky settings
+    // Handle Bluesky settings. An empty app password field keeps the stored
+    // password, and the account only logs in again when its details change.
     if (blueskyHandle || blueskyPassword || enableBlueskyBridge !== undefined) {
-        console.log('=== BLUESKY SETTINGS UPDATE ===');
-        console.log('Raw handle:', JSON.stringify(blueskyHandle)); // Shows invisible characters
-        console.log('Password length:', blueskyPassword ? blueskyPassword.length : 0);
-        console.log('Bridge enabled:', enableBlueskyBridge === 'on');
-        
         // Sanitize handle by removing invisible characters and whitespace
         const sanitizedHandle = blueskyHandle ? blueskyHandle.trim().replace(/[\u200B-\u200D\uFEFF\u202A-\u202E]/g, '') : '';
         
-        console.log('Sanitized handle:', JSON.stringify(sanitizedHandle));
-        
+        const current = db.getUser(username).blueskySettings || {};
+        const service = blueskyService ? normalizeService(blueskyService) : null;
         const blueskySettings = {
+            ...current,
             handle: sanitizedHandle,
-            password: blueskyPassword || '',
+            // Empty means the default service; a mistyped one keeps the old
+            service: blueskyService ? service || current.service || null : null,
             enabled: enableBlueskyBridge === 'on'
         };
+        const changed = !!blueskyPassword || sanitizedHandle !== current.handle || blueskySettings.service !== (current.service || null);
         
-        // Test Bluesky connection if credentials provided
-        if (blueskySettings.enabled && blueskySettings.handle && blueskySettings.password) {
-            console.log('=== TESTING BLUESKY CONNECTION ===');
+        if (!blueskySessions.enabled) {
+            blueskySettings.error = 'The Bluesky bridge is turned off on this server.';
+        } else if (blueskyService && !service) {
+            blueskySettings.error = 'Enter the https:// address of your PDS, or leave it empty for bsky.social.';
+        } else if (changed && sanitizedHandle && (blueskyPassword || current.password)) {
+            // Test the new details by logging in; the session it gets is kept for the bridge
             try {
-                console.log('Testing Bluesky connection for:', blueskySettings.handle);
-                const agent = new BskyAgent({ service: 'https://bsky.social' });
-                
-                const loginResult = await agent.login({
-                    identifier: blueskySettings.handle,
-                    password: blueskySettings.password
-                });
-                
-                console.log('Bluesky login successful:', loginResult.success);
+                Object.assign(blueskySettings, await blueskySessions.connect(username, {
+                    handle: sanitizedHandle,
+                    password: blueskyPassword || null,
+                    service: blueskySettings.service
+                }));
                 blueskySettings.connected = true;
                 blueskySettings.error = null;
             } catch (error) {
                 console.error('Bluesky connection test failed:', error);
                 blueskySettings.connected = false;
+                // The old session belongs to the old details
+                delete blueskySettings.session;
                 
                 // Provide more specific error messages
                 if (error.message.includes('Invalid identifier or password')) {
@@ -1065,186 +1434,1438 @@ app.post('/settings', async (req, res) => {
                 } else {
                     blueskySettings.error = `Connection failed: ${error.message || 'Unknown error'}. Please try again.`;
                 }
-                
-                console.error('=== DETAILED BLUESKY ERROR ===');
-                console.error('Error message:', error.message);
-                console.error('Error status:', error.status);
-                console.error('Error code:', error.code);
-                console.error('Full error object:', error);
-                console.error('Error stack:', error.stack);
-                console.error('=== END ERROR DETAILS ===');
             }
-        } else {
-            console.log('Skipping Bluesky connection test - missing credentials or disabled');
+        } else if (changed) {
+            // Nothing to log in with yet
+            blueskySettings.connected = false;
+            delete blueskySettings.session;
         }
         
-        // Log settings without exposing password
-        const settingsToLog = { ...blueskySettings };
-        if (settingsToLog.password) {
-            settingsToLog.password = `[${settingsToLog.password.length} characters]`;
-        }
-        console.log('Saving Bluesky settings:', settingsToLog);
-        await db.set(`users.${username}.blueskySettings`, blueskySettings);
+        db.setBlueskySettings(username, blueskySettings);
     }
 
     const actorId = req.session.user.id;
-    const actor = await apex.store.getObject(actorId);
+    // Replaced in full, so the stored keys have to come along
+    const actor = await apex.store.getObject(actorId, true);
     if (!actor) {
         return res.status(404).send('Actor not found.');
     }
     
     actor.name = displayName;
     actor.summary = bio;
+    actor.manuallyApprovesFollowers = [locked];
     await apex.store.updateObject(actor, actorId, true);
 
     res.redirect(`/u/${username}`);
 });
 
+// Unlink the Bluesky account: its session is ended and the stored credentials wiped
+app.post('/settings/bluesky/disconnect', async (req, res) => {
+    if (!req.session.user) return res.status(401).send('Unauthorized');
+    await blueskySessions.disconnect(req.session.user.username);
+    res.redirect('/settings');
+});
+
+// -- Account migration --
+// Tell followers' servers about changes to a local actor (aliases, moves)
+async function publishActorUpdate(username) {
+    const actorId = apex.utils.usernameToIRI(username);
+    const actor = await apex.store.getObject(actorId);
+    const update = await apex.buildActivity('Update', actorId, [PUBLIC_ADDRESS], { object: actor, cc: actor.followers });
+    await publishToOutbox(username, update);
+}
+
+// Changes are merged into the stored actor, keeping its keys
+async function updateStoredActor(actorId, changes) {
+    const actor = await apex.store.getObject(actorId, true);
+    await apex.store.updateObject({ ...actor, ...changes }, actorId, true);
+}
+
+function renderMigration(req, res, { error = null, notice = null } = {}) {
+    const user = db.getUser(req.session.user.username);
+    res.status(error ? 400 : 200).render('migration', {
+        title: 'Account Migration',
+        user,
+        aliases: user.alsoKnownAs.map(accountAddress),
+        movedTo: user.movedTo ? accountAddress(user.movedTo) : null,
+        error,
+        notice
+    });
+}
+
+app.get('/settings/migration', (req, res) => {
+    if (!req.session.user) return res.redirect('/login');
+    renderMigration(req, res);
+});
+
+// Accounts this one is also known as: needed before an old account can move here
+app.post('/settings/aliases', async (req, res) => {
+    if (!req.session.user) return res.status(401).send('Unauthorized');
+    const { username, id: actorId } = req.session.user;
+    const addresses = (req.body.aliases || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+    const aliases = [];
+    for (const address of addresses) {
+        const aliasId = await resolveAccount(address);
+        if (!aliasId) return renderMigration(req, res, { error: `Couldn't find the account "${address}".` });
+        if (aliasId !== actorId && !aliases.includes(aliasId)) aliases.push(aliasId);
+    }
+
+    db.setAlsoKnownAs(username, aliases);
+    try {
+        await updateStoredActor(actorId, { alsoKnownAs: aliases });
+        await publishActorUpdate(username);
+    } catch (error) {
+        console.error('Alias update error:', error);
+    }
+    renderMigration(req, res, { notice: 'Aliases saved.' });
+});
+
+// Move this account's followers to another account that lists it as an alias
+app.post('/settings/move', async (req, res) => {
+    if (!req.session.user) return res.status(401).send('Unauthorized');
+    const { username, id: actorId } = req.session.user;
+    const user = db.getUser(username);
+    if (!(await bcrypt.compare(req.body.password || '', user.password))) {
+        return renderMigration(req, res, { error: 'Incorrect password.' });
+    }
+
+    const targetId = await resolveAccount(req.body.target);
+    if (!targetId || targetId === actorId) {
+        return renderMigration(req, res, { error: `Couldn't find the account "${req.body.target}".` });
+    }
+    // Servers only honour a Move when the new account points back at the old one
+    const target = db.getUserByActorId(targetId) || await fetchRemoteActor(targetId, { refresh: true });
+    if (!target?.alsoKnownAs?.includes(actorId)) {
+        return renderMigration(req, res, { error: `Add @${username}@${DOMAIN} as an alias on the new account first.` });
+    }
+
+    db.setMovedTo(username, targetId);
+    try {
+        await updateStoredActor(actorId, { movedTo: [targetId] });
+        const move = await apex.buildActivity('Move', actorId, [apex.utils.nameToActorStreams(username.toLowerCase()).followers], {
+            object: actorId,
+            target: targetId
+        });
+        await publishToOutbox(username, move);
+    } catch (error) {
+        console.error('Move error:', error);
+    }
+
+    // Remote followers move themselves when their server gets the Move
+    await moveLocalFollowers(actorId, targetId);
+    renderMigration(req, res, { notice: `Your followers are being moved to ${accountAddress(targetId)}.` });
+});
+
+app.get('/settings/export', async (req, res) => {
+    if (!req.session.user) return res.redirect('/login');
+    const { username, id: actorId } = req.session.user;
+    try {
+        const archive = await buildExport({
+            user: db.getUser(username),
+            actor: await apex.store.getObject(actorId),
+            posts: db.getPostsByAuthor(username, actorId).reverse(),
+            followers: db.getFollowers(actorId).map(accountAddress),
+            following: db.getFollowing(actorId).map(accountAddress),
+            storage: mediaStorage
+        });
+        res.attachment(`mayaspace-${username}-export.zip`);
+        res.type('application/zip').send(archive);
+    } catch (error) {
+        console.error('Export error:', error);
+        res.status(500).send('Failed to export account');
+    }
+});
+
+// Imports a MayaSpace export (or a following CSV): profile, posts with their
+// media, and follows. Posts keep their dates and aren't sent to followers again.
+app.post('/settings/import', upload.single('archive'), async (req, res) => {
+    if (!req.session.user) return res.status(401).send('Unauthorized');
+    if (!req.file) return renderMigration(req, res, { error: 'Choose an archive to import.' });
+    const { username, id: actorId } = req.session.user;
+
+    let data;
+    try {
+        data = readImport(fs.readFileSync(req.file.path), req.file.originalname, { maxMediaBytes: mediaQuotaLeft(req.session.user) });
+    } catch (error) {
+        if (error.code === 'MEDIA_QUOTA') {
+            return renderMigration(req, res, { error: `This archive's media would take you over your ${MEDIA_QUOTA_MB} MB of media storage.` });
+        }
+        if (error.code === 'ARCHIVE_LIMIT') return renderMigration(req, res, { error: error.message });
+        console.error('Import error:', error);
+        return renderMigration(req, res, { error: 'That file is not a MayaSpace export.' });
+    } finally {
+        fs.unlink(req.file.path, () => {});
+    }
+
+    if (data.profile) {
+        const user = db.getUser(username);
+        db.updateUserProfile(username, {
+            displayName: data.profile.displayName || user.displayName,
+            bio: data.profile.bio || user.bio,
+            customCss: data.customCss ? sanitizeCustomCss(data.customCss) : user.customCss
+        });
+    }
+
+    // Attached files go through the same conversion as uploads, under new
+    // names so nothing already uploaded can be overwritten: metadata is
+    // stripped and thumbnails and blurhashes are made here, so the archive's
+    // own thumbnails aren't used. Files are decompressed one at a time.
+    const attached = new Set(data.posts.flatMap(post => Array.isArray(post?.attachments) ? post.attachments : [])
+        .filter(attachment => typeof attachment?.url === 'string')
+        .map(attachment => path.basename(attachment.url)));
+    const mediaAttachments = new Map();
+    for (const [name, file] of data.media) {
+        if (!attached.has(name)) continue;
+        const fileName = crypto.randomBytes(16).toString('hex');
+        // Next to multer's uploads, where processUpload keeps its work files
+        const filePath = path.join('uploads', fileName);
+        try {
+            const contents = file.read();
+            if (!sniffMediaType(contents)) continue;
+            fs.writeFileSync(filePath, contents);
+            mediaAttachments.set(name, await processUpload({ path: filePath, filename: fileName, originalname: name }, { storage: mediaStorage }));
+        } catch (error) {
+            console.error(`Import media error (${name}):`, error);
+        }
+    }
+
+    const postIds = new Map();
+    const posts = data.posts
+        .filter(post => post && typeof post.content === 'string')
+        .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+    for (const imported of posts) {
+        const id = crypto.randomBytes(16).toString('hex');
+        const parent = imported.replyTo && postIds.has(imported.replyTo) ? db.getPost(postIds.get(imported.replyTo)) : null;
+        const post = {
+            id,
+            author: username,
+            authorId: actorId,
+            objectId: apex.utils.objectIdToIRI(id),
+            content: imported.content,
+            attachments: (Array.isArray(imported.attachments) ? imported.attachments : [])
+                .filter(attachment => typeof attachment?.url === 'string' && mediaAttachments.has(path.basename(attachment.url)))
+                .map(attachment => ({
+                    ...mediaAttachments.get(path.basename(attachment.url)),
+                    name: typeof attachment.name === 'string' ? attachment.name.slice(0, MAX_DESCRIPTION_LENGTH) : ''
+                })),
+            replyTo: parent?.id,
+            inReplyTo: parent?.objectId || imported.inReplyTo,
+            visibility: POST_VISIBILITIES.includes(imported.visibility) ? imported.visibility : 'public',
+            recipients: Array.isArray(imported.recipients) ? imported.recipients.filter(id => typeof id === 'string') : [],
+            contentWarning: typeof imported.contentWarning === 'string' ? imported.contentWarning : null,
+            sensitive: !!imported.sensitive,
+            createdAt: Date.parse(imported.createdAt) ? new Date(imported.createdAt).toISOString() : new Date().toISOString()
+        };
+        db.createPost(post);
+        postIds.set(imported.id, id);
+        try {
+            await apex.store.saveObject(postToNote(post, parent || (post.inReplyTo && { objectId: post.inReplyTo })));
+        } catch (error) {
+            console.error('Import error:', error);
+        }
+    }
+
+    let followed = 0;
+    for (const address of data.following) {
+        try {
+            const targetId = await resolveAccount(address);
+            if (targetId && await followAccount(req.session.user, targetId)) followed++;
+        } catch (error) {
+            console.error(`Import follow error (${address}):`, error);
+        }
+    }
+
+    renderMigration(req, res, {
+        notice: `Imported ${postIds.size} posts and ${mediaAttachments.size} media files, and followed ${followed} accounts.`
+    });
+});
+
 app.get('/logout', (req, res) => {
+    const sessionId = req.sessionID;
     req.session.destroy(err => {
         if (err) return res.redirect('/');
+        // Chat sockets opened with this session are logged out too
+        for (const client of io.sockets.sockets.values()) {
+            if (client.request.sessionID === sessionId) client.disconnect(true);
+        }
         res.clearCookie('connect.sid');
         res.redirect('/login');
     });
 });
 
+const profileTabs = ['posts', 'followers', 'following', 'liked'];
+const COLLECTION_PAGE_SIZE = 20;
+
+// Local users link to their profile; remote accounts to whatever we cached of them
+function describeAccount(actorId) {
+    const user = db.getUserByActorId(actorId);
+    if (user) {
+        return { id: actorId, name: user.displayName || user.username, handle: `@${user.username}@${DOMAIN}`, url: `/u/${user.username}` };
+    }
+    const actor = db.getRemoteActor(actorId);
+    return {
+        id: actorId,
+        name: actor?.name || actor?.username || actorId,
+        handle: actor?.username ? `@${actor.username}@${actor.domain}` : '',
+        url: actor?.url || actorId,
+        icon: actor?.icon || null,
+        remote: true
+    };
+}
+
+// Actor id for a local username, a @user@domain handle or an actor URL
+async function resolveAccount(address) {
+    const handle = (address || '').trim().replace(/^@/, '');
+    if (!handle) return null;
+    if (handle.startsWith('http')) {
+        if (apex.isLocalIRI(handle)) return db.getUserByActorId(handle)?.actor.id || null;
+        return (await fetchRemoteActor(handle))?.id || null;
+    }
+    if (!handle.includes('@')) return db.getUser(handle)?.actor.id || null;
+    const [username, domain] = handle.split('@');
+    if (domain === DOMAIN) return db.getUser(username)?.actor.id || null;
+    return (await searchFederatedUser(handle))?.id || null;
+}
+
+// Accounts @mentioned in a post: @user for local accounts, @user@domain for remote ones
+const MENTION_PATTERN = /(?:^|\s)@([\w.-]+(?:@[\w-]+(?:\.[\w-]+)+)?)/g;
+
+async function resolveMentions(content) {
+    const mentioned = [];
+    for (const [, address] of content.matchAll(MENTION_PATTERN)) {
+        const actorId = await resolveAccount(address);
+        if (actorId && !mentioned.includes(actorId)) mentioned.push(actorId);
+    }
+    return mentioned;
+}
+
+// user@domain for an actor, or its id when we don't know its handle
+function accountAddress(actorId) {
+    const user = db.getUserByActorId(actorId);
+    if (user) return `${user.username}@${DOMAIN}`;
+    const actor = db.getRemoteActor(actorId);
+    return actor?.username ? `${actor.username}@${actor.domain}` : actorId;
+}
+
 app.get('/u/:username', async (req, res) => {
     const { username } = req.params;
-    const user = await db.get(`users.${username}`);
+    const user = db.getUser(username);
     if (!user) return res.status(404).send('User not found');
     
-    const allPosts = await db.get('posts') || [];
-    const userPosts = allPosts.filter(p => p.author === username)
-                              .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-    
-    // Add quoted post information for replies in profile view
-    const userPostsWithQuotes = userPosts.map(post => {
-        if (post.replyTo) {
-            const originalPost = allPosts.find(p => p.id === post.replyTo);
-            if (originalPost) {
-                post.quotedPost = {
-                    content: originalPost.content,
-                    author: originalPost.author,
-                    createdAt: originalPost.createdAt
-                };
-            }
-        }
-        return post;
-    });
+    const tab = profileTabs.includes(req.query.tab) ? req.query.tab : 'posts';
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const range = { limit: COLLECTION_PAGE_SIZE, offset: (page - 1) * COLLECTION_PAGE_SIZE };
+    const counts = {
+        followers: db.countFollowers(user.actor.id),
+        following: db.countFollowing(user.actor.id),
+        liked: db.countLiked(user.actor.id, req.session.user?.id)
+    };
+
+    // Newest first, with quoted post information for replies
+    let posts = db.getPostsByAuthor(username, req.session.user?.id);
+    counts.posts = posts.length;
+    let accounts = [];
+    if (tab === 'followers') {
+        accounts = db.getFollowers(user.actor.id, range).map(describeAccount);
+    } else if (tab === 'following') {
+        accounts = db.getFollowing(user.actor.id, range).map(describeAccount);
+    } else if (tab === 'liked') {
+        posts = db.getLikedPosts(user.actor.id, { ...range, viewerId: req.session.user?.id });
+    }
+
+    // How the signed-in visitor relates to this profile, for the action buttons
+    const viewer = req.session.user;
+    const relationship = viewer && viewer.username !== user.username ? {
+        following: db.isFollowing(viewer.id, user.actor.id),
+        requested: !!db.getFollowRequest(viewer.id, user.actor.id),
+        blocked: db.isBlocked(viewer.id, user.actor.id)
+    } : null;
 
     res.render('profile', {
         title: `${user.displayName || user.username}'s Profile`,
         user: user,
-        posts: userPostsWithQuotes
+        posts,
+        accounts,
+        counts,
+        tab,
+        page,
+        relationship,
+        movedTo: user.movedTo ? describeAccount(user.movedTo) : null,
+        hasNextPage: tab !== 'posts' && page * COLLECTION_PAGE_SIZE < counts[tab]
     });
 });
 
-app.get('/u/:username/followers', async (req, res) => {
-    const { username } = req.params;
-    const user = await db.get(`users.${username}`);
-    if (!user) return res.status(404).send('Not Found');
-    const followers = await db.get(`users.${username}.followers`) || [];
-    res.json(apex.utils.toCollection(req.originalUrl, followers));
-});
+// -- Actor collections --
+// Followers, following and liked as OrderedCollections: the bare URL gives the
+// total and links ?page=1, each page links the next. Browsers get the profile tab.
+function actorCollection(name, { count, items }) {
+    return (req, res) => {
+        const user = db.getUser(req.params.username);
+        if (!user) return res.status(404).send('Not Found');
+        if (req.accepts(['text/html', ...apex.consts.jsonldTypes]) === 'text/html') {
+            return res.redirect(`/u/${user.username}?tab=${name}`);
+        }
 
-app.get('/u/:username/following', (req, res) => {
-    res.json(apex.utils.toCollection(req.originalUrl, []));
-});
+        const id = `https://${DOMAIN}/u/${user.username}/${name}`;
+        const totalItems = count(user.actor.id);
+        const page = parseInt(req.query.page);
+        let collection;
+        if (!page || page < 1) {
+            collection = { id, type: 'OrderedCollection', totalItems, first: `${id}?page=1` };
+        } else {
+            const offset = (page - 1) * COLLECTION_PAGE_SIZE;
+            collection = {
+                id: `${id}?page=${page}`,
+                type: 'OrderedCollectionPage',
+                partOf: id,
+                totalItems,
+                orderedItems: items(user.actor.id, { limit: COLLECTION_PAGE_SIZE, offset })
+            };
+            if (offset + COLLECTION_PAGE_SIZE < totalItems) collection.next = `${id}?page=${page + 1}`;
+            if (page > 1) collection.prev = `${id}?page=${page - 1}`;
+        }
+        res.type('application/activity+json').send(JSON.stringify({
+            '@context': 'https://www.w3.org/ns/activitystreams',
+            ...collection
+        }));
+    };
+}
 
-app.get('/u/:username/liked', (req, res) => {
-    res.json(apex.utils.toCollection(req.originalUrl, []));
-});
+app.get('/u/:username/followers', actorCollection('followers', {
+    count: actorId => db.countFollowers(actorId),
+    items: (actorId, range) => db.getFollowers(actorId, range)
+}));
 
-// ActivityPub event handlers
-app.on('apex-inbox', async ({ activity }) => {
+app.get('/u/:username/following', actorCollection('following', {
+    count: actorId => db.countFollowing(actorId),
+    items: (actorId, range) => db.getFollowing(actorId, range)
+}));
+
+app.get('/u/:username/liked', actorCollection('liked', {
+    count: actorId => db.countLiked(actorId),
+    items: (actorId, range) => db.getLikedPosts(actorId, range)
+        .map(post => post.objectId || apex.utils.objectIdToIRI(post.id))
+}));
+
+// -- Federated timeline --
+// HTML allowed in notes coming from other servers
+const federatedContentOptions = {
+    allowedTags: ['p', 'br', 'a', 'span', 'strong', 'b', 'em', 'i', 'u', 's', 'code', 'pre', 'blockquote', 'ul', 'ol', 'li'],
+    allowedAttributes: {
+        a: ['href', 'rel', 'target'],
+        span: ['class']
+    },
+    allowedSchemes: ['http', 'https'],
+    transformTags: {
+        a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow noopener noreferrer', target: '_blank' })
+    }
+};
+
+// apex hands us JSON-LD with every property wrapped in an array
+function firstValue(value) {
+    return Array.isArray(value) ? value[0] : value;
+}
+
+function linkHref(value) {
+    const link = firstValue(value);
+    if (!link) return null;
+    return typeof link === 'string' ? link : firstValue(link.href);
+}
+
+// Remote links are only kept if they are web links, so a javascript: or data:
+// URL never ends up in an href or src
+function httpUrl(value) {
+    if (typeof value !== 'string') return null;
     try {
-        if (activity.type === 'Follow') {
-            const followedUsername = apex.utils.nameFromIRI(activity.object);
-            if (!followedUsername) return;
-            
-            const user = await db.get(`users.${followedUsername}`);
-            if (!user) return;
+        const { protocol } = new URL(value);
+        return protocol === 'http:' || protocol === 'https:' ? value : null;
+    } catch (error) {
+        return null;
+    }
+}
 
-            const followers = await db.get(`users.${followedUsername}.followers`) || [];
-            if (!followers.includes(activity.actor)) {
-                await db.push(`users.${followedUsername}.followers`, activity.actor);
-            }
-        } else if (activity.type === 'Undo' && activity.object.type === 'Follow') {
-            const followedUsername = apex.utils.nameFromIRI(activity.object.object);
-            if (!followedUsername) return;
+// Local id for a federated post, derived from its ActivityPub object id
+function federatedPostId(objectId) {
+    return crypto.createHash('sha256').update(objectId).digest('hex').slice(0, 32);
+}
 
-            const user = await db.get(`users.${followedUsername}`);
-            if (!user) return;
+const actorTypes = ['Person', 'Service', 'Application', 'Group', 'Organization'];
+const REMOTE_ACTOR_TTL = (parseFloat(process.env.REMOTE_ACTOR_CACHE_HOURS) || 24) * 60 * 60 * 1000;
 
-            const currentFollowers = await db.get(`users.${followedUsername}.followers`) || [];
-            const newFollowers = currentFollowers.filter(follower => follower !== activity.actor);
-            await db.set(`users.${followedUsername}.followers`, newFollowers);
+// Keep a copy of the remote actor so feeds can show names and avatars
+function cacheRemoteActor(actor) {
+    return db.saveRemoteActor({
+        id: actor.id,
+        username: firstValue(actor.preferredUsername),
+        name: firstValue(actor.name) || firstValue(actor.preferredUsername),
+        url: httpUrl(linkHref(actor.url)) || actor.id,
+        icon: actor.icon ? httpUrl(linkHref(firstValue(actor.icon).url)) : null,
+        domain: new URL(actor.id).hostname,
+        summary: actor.summary ? sanitizeHtml(firstValue(actor.summary), federatedContentOptions) : null,
+        alsoKnownAs: (actor.alsoKnownAs || []).map(linkHref).filter(Boolean),
+        movedTo: linkHref(actor.movedTo),
+        fetchedAt: new Date().toISOString()
+    });
+}
+
+// Cached profile of a remote actor, fetched again once it is older than the
+// cache TTL. A stale copy is returned if the actor's server can't be reached.
+// `known` is a copy already at hand (e.g. from a signed activity) for actors
+// not cached yet.
+async function fetchRemoteActor(actorId, { refresh = false, known = null } = {}) {
+    const cached = db.getRemoteActor(actorId);
+    if (cached && !refresh && Date.now() - Date.parse(cached.fetchedAt) < REMOTE_ACTOR_TTL) {
+        return cached;
+    }
+    if (!cached && known) {
+        return cacheRemoteActor(known);
+    }
+    try {
+        const actor = await apex.resolveObject(actorId, false, true);
+        if (actor && actorTypes.includes(actor.type)) return cacheRemoteActor(actor);
+    } catch (error) {
+        console.error(`Remote actor fetch error (${actorId}):`, error.message);
+    }
+    return cached;
+}
+
+// Inbound Move: the old account points at its new one, which must list the
+// old one in alsoKnownAs. Local followers are moved over to the new account.
+async function moveFollowers(actor, targetId) {
+    if (!targetId || targetId === actor.id || apex.isLocalIRI(targetId)) return;
+    const target = await fetchRemoteActor(targetId, { refresh: true });
+    if (!target || !target.alsoKnownAs.includes(actor.id)) {
+        console.warn(`Ignoring Move from ${actor.id}: ${targetId} doesn't list it in alsoKnownAs`);
+        return;
+    }
+    cacheRemoteActor({ ...actor, movedTo: [targetId] });
+    await moveLocalFollowers(actor.id, targetId);
+}
+
+async function moveLocalFollowers(actorId, targetId) {
+    for (const followerId of db.getFollowers(actorId)) {
+        const user = db.getUserByActorId(followerId);
+        if (!user) continue;
+        const session = { username: user.username, id: user.actor.id };
+        await unfollowAccount(session, actorId);
+        await followAccount(session, targetId);
+    }
+}
+
+// Addresses a Note was sent to, as plain ids
+function noteAudience(note) {
+    return [note.to, note.cc].flatMap(value => Array.isArray(value) ? value : value ? [value] : []).map(linkHref);
+}
+
+// Visibility of a federated Note, read back from its addressing (see postToNote)
+function noteVisibility(note, followersId) {
+    const audience = noteAudience(note);
+    if (noteAudience({ to: note.to }).includes(PUBLIC_ADDRESS)) return 'public';
+    if (audience.includes(PUBLIC_ADDRESS)) return 'unlisted';
+    if (followersId && audience.includes(followersId)) return 'followers';
+    return 'direct';
+}
+
+function noteToPost(note, author, followersId) {
+    // Content warnings are shown as plain text
+    const contentWarning = sanitizeHtml(firstValue(note.summary) || '', { allowedTags: [], allowedAttributes: {} }).trim() || null;
+    const attachments = (note.attachment || [])
+        .filter(attachment => firstValue(attachment.mediaType) && httpUrl(linkHref(attachment.url)))
+        .map(attachment => ({
+            mediaType: firstValue(attachment.mediaType),
+            url: linkHref(attachment.url),
+            name: firstValue(attachment.name) || '',
+            width: parseInt(firstValue(attachment.width)) || undefined,
+            height: parseInt(firstValue(attachment.height)) || undefined,
+            blurhash: firstValue(attachment.blurhash) || undefined
+        }));
+
+    return {
+        id: federatedPostId(note.id),
+        objectId: note.id,
+        author: `${author.username}@${author.domain}`,
+        authorId: author.id,
+        authorName: author.name,
+        authorUrl: author.url,
+        authorIcon: author.icon,
+        content: sanitizeHtml(firstValue(note.content) || '', federatedContentOptions),
+        contentWarning,
+        sensitive: firstValue(note.sensitive) === true || !!contentWarning,
+        inReplyTo: linkHref(note.inReplyTo),
+        attachments,
+        visibility: noteVisibility(note, followersId),
+        // Local accounts it was addressed to, who can see it whatever its visibility
+        recipients: noteAudience(note).filter(id => apex.isLocalIRI(id) && db.getUserByActorId(id)),
+        createdAt: firstValue(note.published) || new Date().toISOString(),
+        remote: true
+    };
+}
+
+// A note the actor may publish: attributed to them and with an id on their own server
+function isActorNote(actor, note) {
+    if (!note || note.type !== 'Note' || firstValue(note.attributedTo) !== actor.id) return false;
+    try {
+        return new URL(note.id).origin === new URL(actor.id).origin;
+    } catch (error) {
+        return false;
+    }
+}
+
+async function saveFederatedNote(actor, note) {
+    if (!isActorNote(actor, note)) return;
+
+    // Replies to local posts and posts addressed to local accounts are kept
+    // even when nobody here follows the author
+    const inReplyTo = linkHref(note.inReplyTo);
+    const parent = inReplyTo && db.getPostByIRI(inReplyTo);
+    const addressedHere = noteAudience(note).some(id => apex.isLocalIRI(id));
+    if (!(parent && !parent.remote) && !addressedHere && !db.hasLocalFollower(actor.id)) return;
+
+    const post = noteToPost(note, await fetchRemoteActor(actor.id, { known: actor }), firstValue(actor.followers));
+    if (parent) {
+        // Threads link to federated parents too, so conversations can be shown whole
+        post.replyTo = parent.id;
+    }
+    // Edits keep the reactions already counted on the post
+    db.upsertRemotePost(post);
+}
+
+function removeFederatedNote(actorId, objectId) {
+    db.deleteRemotePost(objectId, actorId);
+}
+
+// ActivityPub event handlers
+app.on('apex-inbox', async ({ actor, activity, object }) => {
+    try {
+        if (activity.type === 'Create') {
+            if (!await receiveChatNote(actor, object)) await saveFederatedNote(actor, object);
+        } else if (activity.type === 'Update') {
+            if (object && actorTypes.includes(object.type) && object.id === actor.id) {
+                // Profile changes: name, avatar, bio, aliases
+                cacheRemoteActor(object);
+            } else if (object && db.getPostByIRI(object.id)?.remote) {
+                // Only refresh notes we already show
+                await saveFederatedNote(actor, object);
+            }
+        } else if (activity.type === 'Delete') {
+            const objectId = apex.objectIdFromActivity(activity);
+            if (objectId === actor.id) {
+                // The account itself was deleted
+                db.purgeRemoteActor(actor.id);
+            } else {
+                removeFederatedNote(actor.id, objectId);
+                removeChatNote(actor.id, objectId);
+            }
+        } else if (activity.type === 'Move') {
+            if (apex.objectIdFromActivity(activity) === actor.id) {
+                await moveFollowers(actor, linkHref(activity.target));
+            }
+        } else if (activity.type === 'Like' || activity.type === 'Announce') {
+            await recordRemoteReaction(actor.id, activity.type, firstValue(activity.object));
+        } else if (activity.type === 'Undo' && object && (object.type === 'Like' || object.type === 'Announce')) {
+            await recordRemoteReaction(actor.id, object.type, firstValue(object.object), true);
+        } else if (activity.type === 'Follow') {
+            const user = db.getUserByActorId(firstValue(activity.object));
+            if (!user) return;
+            await fetchRemoteActor(actor.id, { known: actor });
+            // Locked accounts hold new followers until they approve them
+            if (user.manuallyApprovesFollowers && !db.isFollowing(actor.id, user.actor.id)) {
+                db.addFollowRequest(actor.id, user.actor.id, activity.id);
+                return;
+            }
+            db.addFollow(actor.id, user.actor.id, activity.id);
+            await respondToFollow(user.username, 'Accept', actor.id, activity.id);
+        } else if (activity.type === 'Undo' && object && object.type === 'Follow') {
+            db.removeFollow(actor.id, firstValue(object.object));
+            db.removeFollowRequest(actor.id, firstValue(object.object));
+        } else if (activity.type === 'Reject' && object && object.type === 'Follow') {
+            // One of our follows was turned down (or the follower removed later)
+            const follower = firstValue(object.actor);
+            if (firstValue(object.object) === actor.id && db.getUserByActorId(follower)) {
+                db.removeFollow(follower, actor.id);
+            }
         }
     } catch (err) {
         console.error('Error in inbox handler:', err);
     }
 });
 
+// Browsers following a Note id land on the post page
+app.get('/o/:id', (req, res) => {
+    res.redirect(`/posts/${encodeURIComponent(req.params.id)}`);
+});
+
 app.get('/posts/:id', (req, res) => {
-// ... existing code ...
+    const viewerId = req.session.user?.id;
+    const post = db.getPost(req.params.id, viewerId);
+    if (!post || !db.canViewPost(post, viewerId)) return res.status(404).send('Post not found');
+    res.render('post', {
+        title: `Post by ${post.authorName || post.author}`,
+        post,
+        edits: db.getPostEdits(post.id),
+        ancestors: db.getAncestors(post.id, viewerId),
+        replies: db.getDescendants(post.id, viewerId)
+    });
+});
+
+// Polled by posts still processing media: overall progress, then the gallery once it's ready
+app.get('/api/posts/:id/media', (req, res) => {
+    const post = db.getPost(req.params.id);
+    if (!post || !db.canViewPost(post, req.session.user?.id)) {
+        return res.status(404).json({ error: 'Post not found' });
+    }
+    if (post.processing) {
+        const jobs = db.getMediaJobs(post.id);
+        const progress = jobs.length ? jobs.reduce((sum, job) => sum + job.progress, 0) / jobs.length : 0;
+        return res.json({ processing: true, progress: Math.round(progress) });
+    }
+    res.render('partials/media', { post }, (error, html) => {
+        if (error) {
+            console.error('Media status error:', error);
+            return res.status(500).json({ error: 'Failed to load media' });
+        }
+        res.json({ processing: false, html });
+    });
+});
+
+// Only the author can edit or delete a local post
+function findOwnPost(req, res) {
+    const post = db.getPost(req.params.id);
+    if (!post || post.remote) {
+        res.status(404).send('Post not found');
+        return null;
+    }
+    if (post.author !== req.session.user.username) {
+        res.status(403).send('You can only change your own posts');
+        return null;
+    }
+    return post;
+}
+
+app.post('/posts/:id/edit', async (req, res) => {
+    if (!req.session.user) return res.redirect('/login');
+    const post = findOwnPost(req, res);
+    if (!post) return;
+    if (!req.body.content) return res.status(400).send('Content is required');
+    if (post.processing) return res.status(409).send('Wait for the post\'s media to finish processing before editing it');
+
+    try {
+        if (req.body.content !== post.content) {
+            await editPost(req.session.user, post, req.body.content);
+        }
+        res.redirect(`/posts/${post.id}`);
+    } catch (error) {
+        console.error('Edit post error:', error);
+        res.status(500).send('Failed to edit post');
+    }
+});
 
+app.post('/posts/:id/delete', async (req, res) => {
+    if (!req.session.user) return res.redirect('/login');
+    const post = findOwnPost(req, res);
+    if (!post) return;
+
+    try {
+        await deletePost(req.session.user, post);
+        res.redirect(`/u/${post.author}`);
+    } catch (error) {
+        console.error('Delete post error:', error);
+        res.status(500).send('Failed to delete post');
+    }
+});
+
+// Follow requests for locked accounts
+app.get('/follow-requests', (req, res) => {
+    if (!req.session.user) return res.redirect('/login');
+    const requests = db.getFollowRequests(req.session.user.id)
+        .map(request => ({ ...request, account: describeAccount(request.follower) }));
+    res.render('follow-requests', { title: 'Follow Requests', requests });
+});
+
+app.post('/follow-requests/:action', async (req, res) => {
+    if (!req.session.user) return res.status(401).send('Unauthorized');
+    const { action } = req.params;
+    if (action !== 'accept' && action !== 'reject') return res.status(404).send('Not Found');
+    const { username, id: actorId } = req.session.user;
+    const { follower } = req.body;
+
+    let request;
+    if (action === 'accept') {
+        request = db.approveFollowRequest(follower, actorId);
+    } else {
+        request = db.getFollowRequest(follower, actorId);
+        if (request) db.removeFollowRequest(follower, actorId);
+    }
+    // Local followers see the result straight away, remote servers are told
+    if (request && !apex.isLocalIRI(follower)) {
+        try {
+            await respondToFollow(username, action === 'accept' ? 'Accept' : 'Reject', follower, request.activityId);
+        } catch (error) {
+            console.error('Follow response error:', error);
+        }
+    }
+    res.redirect('/follow-requests');
+});
+
+// Blocked accounts and domains
+function renderBlocks(req, res, error = null) {
+    const blocks = db.getBlocks(req.session.user.id)
+        .map(block => ({ ...block, account: block.type === 'actor' ? describeAccount(block.target) : null }));
+    res.status(error ? 400 : 200).render('blocks', { title: 'Blocked Accounts', blocks, error });
+}
+
+// Accepts a domain, a local username, @user@domain or an actor URL
+async function resolveBlockTarget(target) {
+    const handle = target.replace(/^@/, '');
+    if (!handle.includes('@') && !handle.startsWith('http') && !db.getUser(handle)) {
+        return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(handle) ? { domain: handle.toLowerCase() } : null;
+    }
+    const actorId = await resolveAccount(target);
+    return actorId ? { actorId } : null;
+}
+
+app.get('/blocks', (req, res) => {
+    if (!req.session.user) return res.redirect('/login');
+    renderBlocks(req, res);
+});
+
+app.post('/blocks', async (req, res) => {
+    if (!req.session.user) return res.status(401).send('Unauthorized');
+    const target = (req.body.target || '').trim();
+    try {
+        const resolved = target && await resolveBlockTarget(target);
+        if (!resolved) return renderBlocks(req, res, `Couldn't find "${target}".`);
+        if (resolved.actorId === req.session.user.id || resolved.domain === DOMAIN) {
+            return renderBlocks(req, res, 'You cannot block yourself or this server.');
+        }
+        await blockAccount(req.session.user, resolved);
+    } catch (error) {
+        console.error('Block error:', error);
+        return renderBlocks(req, res, 'Failed to block. Please try again.');
+    }
+    res.redirect('/blocks');
+});
+
+app.post('/blocks/remove', async (req, res) => {
+    if (!req.session.user) return res.status(401).send('Unauthorized');
+    try {
+        await unblockAccount(req.session.user, req.body.target);
+    } catch (error) {
+        console.error('Unblock error:', error);
+    }
+    res.redirect('/blocks');
+});
+
+// Admin routes
+app.get('/admin/deliveries', (req, res) => {
+    if (!isAdmin(req.session.user)) return res.status(403).send('Forbidden');
+    res.render('admin-deliveries', {
+        title: 'Federation Deliveries',
+        counts: db.getDeliveryCounts(),
+        pending: db.getDeliveries('pending'),
+        failed: db.getDeliveries('failed'),
+        backoffs: db.getInboxBackoffs()
+    });
+});
+
+app.post('/admin/deliveries/:id/retry', (req, res) => {
+    if (!isAdmin(req.session.user)) return res.status(403).send('Forbidden');
+    if (db.retryDelivery(Number(req.params.id))) {
+        deliveryQueue.wake();
+    }
+    res.redirect('/admin/deliveries');
+});
+
+app.post('/admin/deliveries/:id/delete', (req, res) => {
+    if (!isAdmin(req.session.user)) return res.status(403).send('Forbidden');
+    db.deleteDelivery(Number(req.params.id));
+    res.redirect('/admin/deliveries');
 });
 
 // Chat routes
-app.get('/chat', async (req, res) => {
-    if (!req.session.user) {
-        return res.redirect('/login');
+// The room everyone starts in (created by database.js)
+const GLOBAL_CHAT_ROOM = 'global_chat';
+const CHAT_ROOM_TYPES = ['public', 'private'];
+const MAX_CHAT_ROOM_NAME_LENGTH = 50;
+// People in a direct conversation, counting whoever starts it
+const MAX_DIRECT_CHAT_MEMBERS = 8;
+const CHAT_PAGE_SIZE = 50;
+const CHAT_RESTRICTION_TYPES = ['timeout', 'ban'];
+const CHAT_MODERATOR_ROLES = ['moderator', 'member'];
+// Longest wait slow mode can set, in seconds
+const MAX_CHAT_SLOW_MODE = 60 * 60;
+const MAX_CHAT_FILTER_WORDS = 200;
+const DEFAULT_CHAT_TIMEOUT_MINUTES = 10;
+
+// Public rooms are open to everyone; private rooms and direct conversations only to
+// members. Nobody gets in while banned.
+function canUseChatRoom(room, actorId) {
+    if (!room || db.getChatRestriction(room.id, actorId, 'ban')) return false;
+    return room.type === 'public' || !!db.getChatMember(room.id, actorId);
+}
+
+// How much say someone has in a room: site admins everywhere, then the owner, then moderators
+function chatRank(room, actorId) {
+    if (isAdmin(db.getUserByActorId(actorId))) return 3;
+    const role = db.getChatMember(room.id, actorId)?.role;
+    return role === 'owner' ? 2 : role === 'moderator' ? 1 : 0;
+}
+
+// Direct conversations have no moderators; everyone in them can leave or block instead
+function canModerateChat(room, actorId) {
+    return room.type !== 'direct' && chatRank(room, actorId) > 0;
+}
+
+// Moderators can act on members, owners on moderators too
+function canModerateChatMember(room, actorId, targetId) {
+    return canModerateChat(room, actorId) && chatRank(room, actorId) > chatRank(room, targetId);
+}
+
+// Filtered words in a message, matched as whole words ignoring case
+function filteredChatWords(room, content) {
+    return room.wordFilter.filter(word => {
+        const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'iu').test(content);
+    });
+}
+
+// Sockets of one account, wherever in chat they are
+function* accountChatSockets(actorId) {
+    for (const client of io.sockets.sockets.values()) {
+        if (client.userData.id === actorId) yield client;
     }
-    
-    // Get recent chat messages
-    const messages = await db.get('chat_messages') || [];
-    const recentMessages = messages.slice(-50); // Last 50 messages
-    
+}
+
+// Direct conversations are named after the other people in them
+function chatRoomTitle(room, actorId) {
+    if (room.type !== 'direct') return room.name;
+    const others = db.getChatMemberIds(room.id).filter(id => id !== actorId);
+    return others.map(id => describeAccount(id).name).join(', ') || 'Just you';
+}
+
+// Accounts from a list of @mentions or usernames, or an error message. Only
+// direct conversations federate, so rooms take local accounts only.
+async function resolveChatMembers(text, user, { remote = false } = {}) {
+    const members = [];
+    for (const address of String(text || '').split(/[\s,]+/).filter(Boolean)) {
+        const actorId = await resolveAccount(address);
+        if (!actorId) return { error: `Couldn't find ${address}` };
+        if (!remote && !db.getUserByActorId(actorId)) return { error: `${address} isn't on this server` };
+        if (db.isBlocked(user.id, actorId) || db.isBlocked(actorId, user.id)) {
+            return { error: `You can't chat with ${address}` };
+        }
+        if (actorId !== user.id && !members.includes(actorId)) members.push(actorId);
+    }
+    return { members };
+}
+
+function findChatRoom(req, res) {
+    const room = db.getChatRoom(req.params.room);
+    if (room && db.getChatRestriction(room.id, req.session.user.id, 'ban')) {
+        res.status(403).send('You are banned from this room');
+        return null;
+    }
+    if (!canUseChatRoom(room, req.session.user.id)) {
+        res.status(404).send('Chat room not found');
+        return null;
+    }
+    return room;
+}
+
+app.get('/chat', (req, res) => {
+    if (!req.session.user) return res.redirect('/login');
+    res.redirect(`/chat/${GLOBAL_CHAT_ROOM}`);
+});
+
+app.get('/chat/:room', (req, res) => {
+    if (!req.session.user) return res.redirect('/login');
+    const room = findChatRoom(req, res);
+    if (!room) return;
+    const actorId = req.session.user.id;
+
+    // Opening a public room joins it, so it shows up in the room list with unread counts
+    db.addChatMember(room.id, actorId);
+    const { messages, hasMore } = db.getChatMessages(room.id, { limit: CHAT_PAGE_SIZE, viewerId: actorId });
+    db.markChatRead(room.id, actorId);
+
+    const rooms = db.getChatRoomsFor(actorId).map(joined => ({ ...joined, title: chatRoomTitle(joined, actorId) }));
     res.render('chat', {
-        title: 'Chat',
-        messages: recentMessages
+        title: `Chat: ${chatRoomTitle(room, actorId)}`,
+        room: { ...room, title: chatRoomTitle(room, actorId) },
+        messages,
+        hasMore,
+        rooms,
+        publicRooms: db.getPublicChatRooms().filter(publicRoom => !rooms.some(joined => joined.id === publicRoom.id)),
+        members: room.type === 'public' ? [] : db.getChatMemberIds(room.id).map(describeAccount),
+        canModerate: canModerateChat(room, actorId),
+        error: req.query.error || null
+    });
+});
+
+// Older messages for scrolling back, before the message id in ?before
+app.get('/api/chat/:room/messages', (req, res) => {
+    if (!req.session.user) return res.status(401).json({ error: 'Unauthorized' });
+    const room = db.getChatRoom(req.params.room);
+    if (!canUseChatRoom(room, req.session.user.id)) return res.status(404).json({ error: 'Chat room not found' });
+    res.json(db.getChatMessages(room.id, {
+        before: req.query.before || null,
+        limit: CHAT_PAGE_SIZE,
+        viewerId: req.session.user.id
+    }));
+});
+
+app.post('/chat/rooms', (req, res) => {
+    if (!req.session.user) return res.redirect('/login');
+    const name = (req.body.name || '').trim();
+    const type = req.body.type || 'public';
+    if (!name || name.length > MAX_CHAT_ROOM_NAME_LENGTH) {
+        return res.redirect(`/chat/${GLOBAL_CHAT_ROOM}?error=${encodeURIComponent(`Room names can be 1 to ${MAX_CHAT_ROOM_NAME_LENGTH} characters`)}`);
+    }
+    if (!CHAT_ROOM_TYPES.includes(type)) return res.status(400).send('Invalid room type');
+    const room = db.createChatRoom({
+        id: crypto.randomBytes(16).toString('hex'),
+        type,
+        name,
+        createdBy: req.session.user.id
+    });
+    res.redirect(`/chat/${room.id}`);
+});
+
+// Opens the direct conversation with exactly these people, starting it if needed
+app.post('/chat/direct', async (req, res) => {
+    if (!req.session.user) return res.redirect('/login');
+    const user = req.session.user;
+    const { members, error } = await resolveChatMembers(req.body.accounts, user, { remote: true });
+    if (error || !members.length) {
+        return res.redirect(`/chat/${GLOBAL_CHAT_ROOM}?error=${encodeURIComponent(error || 'Enter who to message')}`);
+    }
+    if (members.length + 1 > MAX_DIRECT_CHAT_MEMBERS) {
+        return res.redirect(`/chat/${GLOBAL_CHAT_ROOM}?error=${encodeURIComponent(`Direct messages can have up to ${MAX_DIRECT_CHAT_MEMBERS} people`)}`);
+    }
+    const room = db.findDirectChatRoom([user.id, ...members]) || db.createChatRoom({
+        id: crypto.randomBytes(16).toString('hex'),
+        type: 'direct',
+        createdBy: user.id,
+        members
+    });
+    res.redirect(`/chat/${room.id}`);
+});
+
+// Members of a private room can bring others in; direct conversations keep their people
+app.post('/chat/:room/invite', async (req, res) => {
+    if (!req.session.user) return res.redirect('/login');
+    const room = findChatRoom(req, res);
+    if (!room) return;
+    if (room.type !== 'private') return res.status(400).send('Only private rooms take invitations');
+    const { members, error } = await resolveChatMembers(req.body.accounts, req.session.user);
+    if (error) return res.redirect(`/chat/${room.id}?error=${encodeURIComponent(error)}`);
+    const banned = members.find(member => db.getChatRestriction(room.id, member, 'ban'));
+    if (banned) {
+        return res.redirect(`/chat/${room.id}?error=${encodeURIComponent(`${describeAccount(banned).name} is banned from this room`)}`);
+    }
+    for (const member of members) db.addChatMember(room.id, member);
+    res.redirect(`/chat/${room.id}`);
+});
+
+app.post('/chat/:room/leave', (req, res) => {
+    if (!req.session.user) return res.redirect('/login');
+    const room = findChatRoom(req, res);
+    if (!room) return;
+    db.removeChatMember(room.id, req.session.user.id);
+    res.redirect(room.id === GLOBAL_CHAT_ROOM ? '/' : '/chat');
+});
+
+// Federated chat: direct conversations with people on other servers are sent
+// to them as direct Notes, the way Mastodon sends DMs, and their direct Notes
+// come back into the conversation from the inbox
+function remoteChatMembers(room) {
+    if (room.type !== 'direct') return [];
+    return db.getChatMemberIds(room.id).filter(id => !db.getUserByActorId(id));
+}
+
+// Each message replies to the conversation's previous one, so it stays one thread there
+async function federateChatMessage(room, message, inReplyTo) {
+    const note = {
+        id: message.objectId,
+        type: 'Note',
+        attributedTo: message.authorId,
+        content: textToNoteHtml(message.content),
+        published: message.timestamp,
+        to: db.getChatMemberIds(room.id).filter(id => id !== message.authorId),
+        cc: [],
+        tag: remoteChatMembers(room).map(actorId => ({ type: 'Mention', href: actorId, name: `@${accountAddress(actorId)}` }))
+    };
+    if (inReplyTo) note.inReplyTo = inReplyTo;
+    const create = await apex.buildActivity('Create', message.authorId, note.to, { object: note, cc: note.cc });
+    // Stored so its id can be fetched, like the Notes of posts
+    await apex.store.saveObject(create.object[0]);
+    await publishToOutbox(message.author, create);
+}
+
+// Plain chat text from Note HTML, keeping its line breaks
+function noteHtmlToText(html) {
+    const text = String(html || '').replace(/<br\s*\/?>|<\/p>\s*<p[^>]*>/gi, '\n');
+    return sanitizeHtml(text, { allowedTags: [], allowedAttributes: {} }).trim();
+}
+
+// A direct Note that isn't a reply to a post here is a chat message. It goes to
+// the conversation it replies to, or the one with exactly the same people,
+// which is started if there isn't one. Returns false for Notes that aren't chat.
+async function receiveChatNote(actor, note) {
+    if (!isActorNote(actor, note)) return false;
+    if (noteVisibility(note, firstValue(actor.followers)) !== 'direct') return false;
+    const inReplyTo = linkHref(note.inReplyTo);
+    if (inReplyTo && db.getPostByIRI(inReplyTo)) return false;
+    const addressed = noteAudience(note).filter(id => apex.isLocalIRI(id) && db.getUserByActorId(id));
+    if (!addressed.length) return false;
+    // Notes for several people here arrive once per inbox
+    if (db.getChatMessageByObjectId(note.id)) return true;
+
+    const localMembers = addressed.filter(id => !db.isBlocked(id, actor.id));
+    if (!localMembers.length) return true;
+    // Cached so the conversation can show who this is
+    await fetchRemoteActor(actor.id, { known: actor });
+
+    const parent = inReplyTo && db.getChatMessageByObjectId(inReplyTo);
+    let room = parent && [actor.id, ...localMembers].every(id => db.getChatMember(parent.room, id))
+        ? db.getChatRoom(parent.room)
+        : null;
+    if (!room) {
+        // Other people on other servers it was sent to are in the conversation too
+        const audience = noteAudience(note);
+        const mentioned = [].concat(note.tag || [])
+            .filter(tag => tag?.type === 'Mention')
+            .map(tag => linkHref(tag.href))
+            .filter(id => id && id !== actor.id && !apex.isLocalIRI(id) && audience.includes(id));
+        const members = [actor.id, ...localMembers, ...new Set(mentioned)];
+        room = db.findDirectChatRoom(members) || db.createChatRoom({
+            id: crypto.randomBytes(16).toString('hex'),
+            type: 'direct',
+            createdBy: actor.id,
+            members
+        });
+    }
+
+    // Escaped like the rest of the message text
+    const attachments = [].concat(note.attachment || [])
+        .map(attachment => httpUrl(linkHref(attachment.url)))
+        .filter(Boolean)
+        .map(url => sanitizeHtml(url, { allowedTags: [], allowedAttributes: {}, disallowedTagsMode: 'escape' }));
+    const content = [noteHtmlToText(firstValue(note.content)), ...attachments].filter(Boolean).join('\n');
+    if (!content) return true;
+    const message = {
+        id: crypto.randomBytes(16).toString('hex'),
+        room: room.id,
+        author: accountAddress(actor.id),
+        authorId: actor.id,
+        objectId: note.id,
+        content,
+        timestamp: new Date().toISOString()
+    };
+    db.addChatMessage(message);
+    deliverChatMessage(message);
+    return true;
+}
+
+// A deleted direct Note leaves the conversation too
+function removeChatNote(actorId, objectId) {
+    const message = db.getChatMessageByObjectId(objectId);
+    if (!message || message.authorId !== actorId) return;
+    db.deleteChatMessage(message.id);
+    io.to(`room:${message.room}`).emit('message_deleted', message.id);
+}
+
+// Moderation: room settings, timeouts and bans, moderators and the audit log
+function findModeratedChatRoom(req, res) {
+    const room = findChatRoom(req, res);
+    if (!room) return null;
+    if (!canModerateChat(room, req.session.user.id)) {
+        res.status(403).send('Forbidden');
+        return null;
+    }
+    return room;
+}
+
+app.get('/chat/:room/moderation', (req, res) => {
+    if (!req.session.user) return res.redirect('/login');
+    const room = findModeratedChatRoom(req, res);
+    if (!room) return;
+    const actorId = req.session.user.id;
+    res.render('chat-moderation', {
+        title: `Moderation: ${room.name}`,
+        room,
+        canManageModerators: chatRank(room, actorId) > 1,
+        moderators: db.getChatMemberIds(room.id)
+            .map(member => ({ ...describeAccount(member), role: db.getChatMember(room.id, member).role }))
+            .filter(member => member.role !== 'member'),
+        restrictions: db.getChatRestrictions(room.id)
+            .map(restriction => ({ ...restriction, account: describeAccount(restriction.member) })),
+        auditLog: db.getChatAuditLog(room.id)
+            .map(entry => ({
+                ...entry,
+                actorName: entry.actor ? describeAccount(entry.actor).name : 'Server',
+                targetName: entry.target ? describeAccount(entry.target).name : null
+            })),
+        error: req.query.error || null
     });
 });
 
+app.post('/chat/:room/moderation/settings', (req, res) => {
+    if (!req.session.user) return res.redirect('/login');
+    const room = findModeratedChatRoom(req, res);
+    if (!room) return;
+    const slowMode = Math.min(Math.max(parseInt(req.body.slowMode, 10) || 0, 0), MAX_CHAT_SLOW_MODE);
+    const wordFilter = [...new Set(String(req.body.wordFilter || '')
+        .split(/[\n,]+/)
+        .map(word => word.trim().toLowerCase())
+        .filter(Boolean))];
+    if (wordFilter.length > MAX_CHAT_FILTER_WORDS) {
+        return res.redirect(`/chat/${room.id}/moderation?error=${encodeURIComponent(`The word filter can have up to ${MAX_CHAT_FILTER_WORDS} words`)}`);
+    }
+    db.setChatRoomSettings(room.id, { slowMode, wordFilter });
+    db.addChatAuditEntry({ room: room.id, actor: req.session.user.id, action: 'settings', detail: { slowMode, wordFilter } });
+    res.redirect(`/chat/${room.id}/moderation`);
+});
+
+app.post('/chat/:room/moderation/restrict', async (req, res) => {
+    if (!req.session.user) return res.redirect('/login');
+    const room = findModeratedChatRoom(req, res);
+    if (!room) return;
+    const moderatorId = req.session.user.id;
+    const type = req.body.type;
+    if (!CHAT_RESTRICTION_TYPES.includes(type)) return res.status(400).send('Invalid restriction');
+    const fail = message => res.redirect(`/chat/${room.id}/moderation?error=${encodeURIComponent(message)}`);
+
+    const target = await resolveAccount(String(req.body.account || '').trim());
+    if (!target) return fail(`Couldn't find ${req.body.account || 'that account'}`);
+    if (!canModerateChatMember(room, moderatorId, target)) return fail('You can\'t moderate that account');
+
+    // Timeouts always end; a ban without a duration is for good
+    const minutes = parseInt(req.body.minutes, 10) || (type === 'timeout' ? DEFAULT_CHAT_TIMEOUT_MINUTES : 0);
+    const until = minutes > 0 ? new Date(Date.now() + minutes * 60 * 1000).toISOString() : null;
+    const reason = String(req.body.reason || '').trim().slice(0, 500) || null;
+    db.restrictChatMember({ room: room.id, member: target, type, until, reason, createdBy: moderatorId });
+    db.addChatAuditEntry({ room: room.id, actor: moderatorId, action: type, target, detail: { until, reason } });
+
+    for (const client of accountChatSockets(target)) {
+        if (client.data.room !== room.id) continue;
+        if (type === 'ban') {
+            leaveChatRoom(client);
+            client.emit('chat_error', 'You were banned from this room');
+        } else {
+            client.emit('chat_error', `You were timed out in this room for ${minutes} minute(s)`);
+        }
+    }
+    res.redirect(`/chat/${room.id}/moderation`);
+});
+
+app.post('/chat/:room/moderation/lift', (req, res) => {
+    if (!req.session.user) return res.redirect('/login');
+    const room = findModeratedChatRoom(req, res);
+    if (!room) return;
+    const { member, type } = req.body;
+    if (!CHAT_RESTRICTION_TYPES.includes(type)) return res.status(400).send('Invalid restriction');
+    if (db.liftChatRestriction(room.id, member, type)) {
+        db.addChatAuditEntry({ room: room.id, actor: req.session.user.id, action: `lift_${type}`, target: member });
+    }
+    res.redirect(`/chat/${room.id}/moderation`);
+});
+
+// Owners (and site admins) choose the moderators
+app.post('/chat/:room/moderation/role', async (req, res) => {
+    if (!req.session.user) return res.redirect('/login');
+    const room = findModeratedChatRoom(req, res);
+    if (!room) return;
+    const actorId = req.session.user.id;
+    if (chatRank(room, actorId) < 2) return res.status(403).send('Forbidden');
+    const role = req.body.role;
+    if (!CHAT_MODERATOR_ROLES.includes(role)) return res.status(400).send('Invalid role');
+    const fail = message => res.redirect(`/chat/${room.id}/moderation?error=${encodeURIComponent(message)}`);
+
+    const target = await resolveAccount(String(req.body.account || '').trim());
+    const member = target && db.getChatMember(room.id, target);
+    if (!member) return fail(`${req.body.account || 'That account'} isn't in this room`);
+    if (member.role === 'owner') return fail('The owner\'s role can\'t be changed');
+    if (db.setChatMemberRole(room.id, target, role)) {
+        db.addChatAuditEntry({ room: room.id, actor: actorId, action: 'role', target, detail: { role } });
+    }
+    res.redirect(`/chat/${room.id}/moderation`);
+});
+
 // Socket.io for real-time chat
+const MAX_CHAT_MESSAGE_LENGTH = 500;
+const chatRoster = new Roster();
+// Messages per user, across all their tabs
+const chatRateLimiter = new RateLimiter({ limit: 5, interval: 10 * 1000 });
+// Typing notices; the page sends one every two seconds at most
+const chatTypingLimiter = new RateLimiter({ limit: 3, interval: 5 * 1000 });
+
+// Only logged-in users can connect; who they are comes from the session, never the client
+io.use((socket, next) => {
+    const sessionUser = socket.request.session?.user;
+    const user = sessionUser && db.getUser(sessionUser.username);
+    if (!user) return next(new Error('Unauthorized'));
+    socket.userData = { username: user.username, id: user.actor.id };
+    next();
+});
+
+// Sockets with a room open, skipping users who blocked `authorId`
+function* chatRoomSockets(roomId, authorId = null) {
+    for (const client of io.sockets.sockets.values()) {
+        if (client.data.room !== roomId) continue;
+        if (authorId && db.isBlocked(client.userData.id, authorId)) continue;
+        yield client;
+    }
+}
+
+// Members looking at the room get the message, the rest an unread count
+function deliverChatMessage(message) {
+    for (const client of io.sockets.sockets.values()) {
+        if (db.isBlocked(client.userData.id, message.authorId)) continue;
+        if (client.data.room === message.room) {
+            db.markChatRead(message.room, client.userData.id, message.timestamp);
+            client.emit('new_message', message);
+        } else if (db.getChatMember(message.room, client.userData.id)) {
+            client.emit('unread', { room: message.room, count: db.countUnreadChat(message.room, client.userData.id) });
+        }
+    }
+}
+
+function leaveChatRoom(socket) {
+    const roomId = socket.data.room;
+    if (!roomId) return;
+    socket.leave(`room:${roomId}`);
+    socket.data.room = null;
+    if (chatRoster.remove(roomId, socket.userData.username)) {
+        socket.broadcast.to(`room:${roomId}`).emit('user_left', socket.userData.username);
+        io.to(`room:${roomId}`).emit('online_users', chatRoster.list(roomId));
+    }
+}
+
 io.on('connection', (socket) => {
-    console.log('User connected to chat');
-    
-    socket.on('join', (userData) => {
-        socket.userData = userData;
-        socket.join('global_chat');
-        socket.broadcast.to('global_chat').emit('user_joined', userData.username);
+    const { username, id: actorId } = socket.userData;
+
+    // Each socket shows one room at a time
+    socket.on('join_room', (roomId) => {
+        const room = db.getChatRoom(String(roomId));
+        if (!canUseChatRoom(room, actorId)) return socket.emit('chat_error', 'You can\'t join that room');
+        leaveChatRoom(socket);
+        db.addChatMember(room.id, actorId);
+        socket.data.room = room.id;
+        socket.join(`room:${room.id}`);
+        if (chatRoster.add(room.id, username)) {
+            socket.broadcast.to(`room:${room.id}`).emit('user_joined', username);
+        }
+        io.to(`room:${room.id}`).emit('online_users', chatRoster.list(room.id));
     });
     
     socket.on('send_message', async (data) => {
-        if (!socket.userData) return;
+        const roomId = socket.data.room;
+        // Membership is checked again in case they left or were removed in another tab
+        if (!roomId || !db.getChatMember(roomId, actorId)) return socket.emit('chat_error', 'Join the room first');
+        const content = sanitizeHtml(String(data?.content || ''), {
+            allowedTags: [],
+            allowedAttributes: {}
+        }).trim();
+        if (!content) return;
+        if (content.length > MAX_CHAT_MESSAGE_LENGTH) {
+            return socket.emit('chat_error', `Messages can be at most ${MAX_CHAT_MESSAGE_LENGTH} characters`);
+        }
+        if (!chatRateLimiter.hit(username)) {
+            return socket.emit('chat_error', 'You\'re sending messages too fast. Wait a few seconds and try again.');
+        }
+
+        const room = db.getChatRoom(roomId);
+        const timeout = db.getChatRestriction(roomId, actorId, 'timeout');
+        if (timeout) {
+            const minutes = timeout.until ? Math.ceil((Date.parse(timeout.until) - Date.now()) / 60000) : null;
+            return socket.emit('chat_error', minutes
+                ? `You're timed out in this room for another ${minutes} minute(s)`
+                : 'You\'re timed out in this room');
+        }
+        if (room.slowMode && !canModerateChat(room, actorId)) {
+            const last = db.getLastChatMessageAt(roomId, actorId);
+            const wait = last ? Math.ceil((Date.parse(last) + room.slowMode * 1000 - Date.now()) / 1000) : 0;
+            if (wait > 0) return socket.emit('chat_error', `Slow mode is on. You can send another message in ${wait} second(s).`);
+        }
+        if (filteredChatWords(room, content).length) {
+            db.addChatAuditEntry({ room: roomId, action: 'filter', target: actorId, detail: { content } });
+            return socket.emit('chat_error', 'Your message wasn\'t sent because it has a word that isn\'t allowed in this room');
+        }
         
+        const id = crypto.randomBytes(16).toString('hex');
+        const federated = remoteChatMembers(room).length > 0;
+        const inReplyTo = federated ? db.getLastChatObjectId(roomId) : null;
         const message = {
-            id: crypto.randomBytes(16).toString('hex'),
-            author: socket.userData.username,
-            content: sanitizeHtml(data.content, {
-                allowedTags: [],
-                allowedAttributes: {}
-            }),
+            id,
+            room: roomId,
+            author: username,
+            authorId: actorId,
+            objectId: federated ? apex.utils.objectIdToIRI(id) : null,
+            content,
             timestamp: new Date().toISOString()
         };
         
         // Save to database
-        await db.push('chat_messages', message);
-        
-        // Broadcast to all users
-        io.to('global_chat').emit('new_message', message);
+        db.addChatMessage(message);
+        deliverChatMessage(message);
+
+        if (federated) {
+            federateChatMessage(room, message, inReplyTo)
+                .catch(error => console.error('Chat federation error:', error));
+        }
+    });
+
+    // Moderators remove messages for everyone with the room open
+    socket.on('delete_message', (messageId) => {
+        const message = db.getChatMessage(String(messageId));
+        const room = message && db.getChatRoom(message.room);
+        const allowed = room && (message.authorId === actorId
+            ? canModerateChat(room, actorId)
+            : canModerateChatMember(room, actorId, message.authorId));
+        if (!allowed) {
+            return socket.emit('chat_error', 'You can\'t delete that message');
+        }
+        db.deleteChatMessage(message.id);
+        db.addChatAuditEntry({
+            room: room.id,
+            actor: actorId,
+            action: 'delete_message',
+            target: message.authorId,
+            detail: { author: message.author, content: message.content }
+        });
+        io.to(`room:${room.id}`).emit('message_deleted', message.id);
+    });
+
+    socket.on('typing', () => {
+        const roomId = socket.data.room;
+        if (!roomId || !chatTypingLimiter.hit(username)) return;
+        for (const client of chatRoomSockets(roomId, actorId)) {
+            if (client.userData.id !== actorId) client.emit('typing', username);
+        }
     });
     
     socket.on('disconnect', () => {
-        if (socket.userData) {
-            socket.broadcast.to('global_chat').emit('user_left', socket.userData.username);
-        }
-        console.log('User disconnected from chat');
+        leaveChatRoom(socket);
+        chatRateLimiter.prune();
+        chatTypingLimiter.prune();
     });
 });
 
 // -- Server --
-server.listen(port, () => {
-    console.log(`MayaSpace is listening on port ${port}`);
+apexStore.setup().then(() => {
+    deliveryQueue.start(apex);
+    mediaQueue.start();
+    if (blueskySessions.enabled) {
+        blueskySessions.encryptStoredPasswords();
+    } else {
+        console.error('Bluesky bridge disabled: set CREDENTIALS_SECRET (or SESSION_SECRET) to store Bluesky credentials');
+    }
+    server.listen(port, () => {
+        console.log(`MayaSpace is listening on port ${port}`);
+    });
+}).catch(error => {
+    console.error('ActivityPub store setup error:', error);
+    process.exit(1);
 });
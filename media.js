@@ -0,0 +1,316 @@
+// Uploaded media: converts files to web-friendly formats in the uploads
+// directory and describes them for the feed and for federation. Images and
+// videos get a thumbnail, their dimensions and a blurhash placeholder.
+// Conversion runs in the background through MediaQueue, a few files at a time.
+// Files are recognised by their contents, never by name, and only the types
+// below are accepted; conversion drops EXIF/GPS and other embedded metadata.
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const ffmpeg = require('fluent-ffmpeg');
+const { encode } = require('blurhash');
+
+const MAX_ATTACHMENTS = 4;
+const THUMBNAIL_SIZE = 640;
+// blurhash components: more is sharper, but longer
+const BLURHASH_X = 4;
+const BLURHASH_Y = 3;
+
+// Major brands of MP4 videos; other ISO media files (HEIC and AVIF images,
+// for one) start with an ftyp box too
+const MP4_BRANDS = ['isom', 'iso2', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'M4V ', 'M4VH', 'M4VP', 'f4v ', 'dash', 'MSNV', 'mmp4'];
+
+// Uploads we accept, recognised by their first bytes
+const MEDIA_TYPES = [
+    { mediaType: 'image/jpeg', extension: '.jpg', matches: bytes => bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF },
+    { mediaType: 'image/png', extension: '.png', matches: bytes => ascii(bytes, 0, 8) === '\x89PNG\r\n\x1a\n' },
+    { mediaType: 'image/gif', extension: '.gif', matches: bytes => ['GIF87a', 'GIF89a'].includes(ascii(bytes, 0, 6)) },
+    { mediaType: 'image/webp', extension: '.webp', matches: bytes => ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 12) === 'WEBP' },
+    { mediaType: 'video/quicktime', extension: '.mov', matches: bytes => ascii(bytes, 4, 12) === 'ftypqt  ' || ['moov', 'mdat', 'wide'].includes(ascii(bytes, 4, 8)) },
+    { mediaType: 'video/mp4', extension: '.mp4', matches: bytes => ascii(bytes, 4, 8) === 'ftyp' && MP4_BRANDS.includes(ascii(bytes, 8, 12)) },
+    { mediaType: 'video/webm', extension: '.webm', matches: bytes => bytes.length >= 4 && bytes.readUInt32BE(0) === 0x1A45DFA3 }
+];
+const SNIFF_LENGTH = 16;
+
+// Content-Type of stored media files, by extension
+const SERVED_TYPES = Object.fromEntries(MEDIA_TYPES.map(type => [type.extension, type.mediaType]));
+SERVED_TYPES['.jpeg'] = 'image/jpeg';
+
+// Media type of a stored file from its name, or null if it isn't allowed media
+function storedMediaType(name) {
+    return SERVED_TYPES[path.extname(name).toLowerCase()] || null;
+}
+
+function ascii(bytes, start, end) {
+    return bytes.subarray(start, end).toString('latin1');
+}
+
+/**
+ * Recognise an allowed media type from a file's first bytes
+ * @param  {Buffer} bytes - start of the file (or all of it)
+ * @returns {?{mediaType: string, extension: string}} null for anything not allowed
+ */
+function sniffMediaType(bytes) {
+    const type = MEDIA_TYPES.find(candidate => candidate.matches(bytes));
+    return type ? { mediaType: type.mediaType, extension: type.extension } : null;
+}
+
+function detectMediaType(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const bytes = Buffer.alloc(SNIFF_LENGTH);
+        const length = fs.readSync(fd, bytes, 0, SNIFF_LENGTH, 0);
+        return sniffMediaType(bytes.subarray(0, length));
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// Headers for express.static on the uploads directory. Uploads are user
+// content, so browsers must not guess their type or run anything in them,
+// and anything that isn't allowed media is downloaded rather than shown.
+function setUploadHeaders(res, filePath) {
+    const mediaType = storedMediaType(filePath);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Content-Security-Policy', "default-src 'none'; sandbox");
+    res.setHeader('Content-Type', mediaType || 'application/octet-stream');
+    res.setHeader('Content-Disposition', mediaType ? 'inline' : 'attachment');
+}
+
+function fileSize(filePath) {
+    try {
+        return fs.statSync(filePath).size;
+    } catch (error) {
+        return 0;
+    }
+}
+
+function runFfmpeg(command, output, onProgress) {
+    return new Promise((resolve, reject) => {
+        command
+            .on('progress', (progress) => {
+                if (Number.isFinite(progress.percent)) onProgress(progress.percent);
+            })
+            .on('end', () => resolve())
+            .on('error', (err) => reject(err))
+            .save(output);
+    });
+}
+
+// First frame of a video, saved as an image to build its preview from
+function saveVideoFrame(input, folder, filename) {
+    return new Promise((resolve, reject) => {
+        ffmpeg(input)
+            .on('end', () => resolve(path.join(folder, filename)))
+            .on('error', (err) => reject(err))
+            .screenshots({ count: 1, timestamps: ['0'], folder, filename });
+    });
+}
+
+async function describeImage(file) {
+    const { width, height } = await sharp(file).metadata();
+    const { data, info } = await sharp(file)
+        .raw()
+        .ensureAlpha()
+        .resize(32, 32, { fit: 'inside' })
+        .toBuffer({ resolveWithObject: true });
+    return {
+        width,
+        height,
+        blurhash: encode(new Uint8ClampedArray(data), info.width, info.height, BLURHASH_X, BLURHASH_Y)
+    };
+}
+
+/**
+ * Convert an uploaded file (as stored by multer), put it in media storage and
+ * describe it as an attachment. Work files are kept next to the upload.
+ * @param  {object} file - multer file: path, filename, originalname, mimetype
+ * @param  {object} options
+ * @param  {object} options.storage - media storage (see storage.js)
+ * @param  {string} [options.description] - alt text
+ * @param  {function} [options.onProgress] - called with the percentage converted
+ * @returns {Promise<object>} attachment: mediaType, url, name, size (bytes stored),
+ *   and where a preview could be made thumbnailUrl, width, height and blurhash
+ */
+async function processUpload(file, { storage, description = '', onProgress = () => {} }) {
+    const workDir = path.dirname(file.path);
+    let fileName = file.filename;
+    let mediaType;
+    try {
+        const type = detectMediaType(file.path);
+        if (!type) throw new Error(`Unsupported file type: ${file.originalname}`);
+
+        if (type.mediaType.startsWith('image/') && type.mediaType !== 'image/gif') {
+            fileName += '.webp';
+            mediaType = 'image/webp';
+            // Orientation is applied to the pixels, as sharp drops EXIF from the output
+            await sharp(file.path).rotate().webp({ quality: 80 }).toFile(path.join(workDir, fileName));
+        } else if (type.mediaType === 'image/gif') {
+            fileName += '.gif';
+            mediaType = 'image/gif';
+            await runFfmpeg(ffmpeg(file.path)
+                .outputOptions([
+                    '-vf', 'scale=iw*0.7:ih*0.7', // Scale to 70% of original dimensions
+                    '-q:v', '20', // Quality setting (lower is better, 1-31 range, ~20 gives 80% quality)
+                    '-map_metadata', '-1'
+                ])
+                .toFormat('gif'), path.join(workDir, fileName), onProgress);
+        } else {
+            fileName += '.mp4';
+            mediaType = 'video/mp4';
+            await runFfmpeg(ffmpeg(file.path)
+                .videoCodec('libx264')
+                .audioCodec('aac')
+                // Recording location, device and chapters don't carry over
+                .outputOptions(['-map_metadata', '-1', '-map_chapters', '-1'])
+                .toFormat('mp4'), path.join(workDir, fileName), onProgress);
+        }
+    } catch (error) {
+        // Don't leave a half-written conversion behind
+        if (fileName !== file.filename) fs.unlink(path.join(workDir, fileName), () => {});
+        throw error;
+    } finally {
+        fs.unlink(file.path, () => {});
+    }
+
+    const converted = path.join(workDir, fileName);
+    const attachment = {
+        mediaType,
+        url: storage.urlFor(fileName),
+        name: description,
+        size: fileSize(converted)
+    };
+
+    // A preview failing shouldn't lose the upload, it's just shown without one
+    let frame = null;
+    const thumbnailName = `${file.filename}.thumb.webp`;
+    const thumbnail = path.join(workDir, thumbnailName);
+    try {
+        let source = converted;
+        if (mediaType.startsWith('video/')) {
+            source = frame = await saveVideoFrame(source, workDir, `${file.filename}.frame.png`);
+        }
+        await sharp(source)
+            .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+            .webp({ quality: 70 })
+            .toFile(thumbnail);
+        const preview = await describeImage(source);
+        const thumbnailSize = fileSize(thumbnail);
+        await storage.put(thumbnailName, thumbnail, 'image/webp');
+        Object.assign(attachment, preview, { thumbnailUrl: storage.urlFor(thumbnailName) });
+        attachment.size += thumbnailSize;
+    } catch (error) {
+        console.error('Media preview error:', error);
+        fs.unlink(thumbnail, () => {});
+    } finally {
+        if (frame) fs.unlink(frame, () => {});
+    }
+
+    try {
+        await storage.put(fileName, converted, mediaType);
+    } catch (error) {
+        fs.unlink(converted, () => {});
+        if (attachment.thumbnailUrl) await storage.remove(thumbnailName).catch(() => {});
+        throw error;
+    }
+    return attachment;
+}
+
+// Files of a post waiting for conversion are kept as media jobs; once the last
+// one is done the post gets its attachments and onPostReady publishes it.
+// Failed files are left out of the post and their temp files removed.
+class MediaQueue {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.storage = options.storage;
+        this.concurrency = options.concurrency || 1;
+        this.onPostReady = options.onPostReady || (async () => {});
+        this.removeUploads = options.removeUploads || (() => {});
+        this.active = 0;
+        this.started = false;
+    }
+
+    start() {
+        this.started = true;
+        const restarted = this.db.resetMediaJobs();
+        if (restarted) console.log(`Restarting ${restarted} interrupted media job(s)`);
+        // A post whose jobs all finished just before a restart still needs publishing
+        for (const postId of this.db.getProcessingPostIds()) this.finish(postId);
+        this.wake();
+    }
+
+    /**
+     * Queue a post's uploads for conversion
+     * @param {string} postId
+     * @param {object[]} files - multer files, each with an optional description
+     */
+    enqueue(postId, files) {
+        this.db.addMediaJobs(postId, files);
+        this.wake();
+    }
+
+    wake() {
+        if (!this.started) return;
+        while (this.active < this.concurrency) {
+            const job = this.db.claimMediaJob();
+            if (!job) return;
+            this.active++;
+            this.process(job)
+                .catch(error => console.error('Media queue error:', error))
+                .finally(() => {
+                    this.active--;
+                    this.wake();
+                });
+        }
+    }
+
+    async process(job) {
+        let lastProgress = 0;
+        try {
+            const attachment = await processUpload({
+                path: job.filePath,
+                filename: job.fileName,
+                originalname: job.originalName,
+                mimetype: job.mimeType
+            }, {
+                storage: this.storage,
+                description: job.description,
+                onProgress: percent => {
+                    // ffmpeg reports many times a second; only store whole steps
+                    if (Math.floor(percent) <= lastProgress) return;
+                    lastProgress = Math.floor(percent);
+                    this.db.setMediaJobProgress(job.id, lastProgress);
+                }
+            });
+            if (!this.db.completeMediaJob(job.id, attachment)) {
+                // The post was deleted while this file was converting
+                this.removeUploads([attachment]);
+                return;
+            }
+        } catch (error) {
+            console.error(`Media job ${job.id} (${job.originalName}) failed:`, error);
+            this.db.failMediaJob(job.id, error.message);
+        }
+        await this.finish(job.postId);
+    }
+
+    async finish(postId) {
+        if (!this.db.finishMediaPost(postId)) return;
+        try {
+            await this.onPostReady(postId);
+        } catch (error) {
+            console.error('Media queue publish error:', error);
+        }
+    }
+}
+
+module.exports = {
+    processUpload,
+    sniffMediaType,
+    detectMediaType,
+    storedMediaType,
+    setUploadHeaders,
+    MediaQueue,
+    MAX_ATTACHMENTS
+};
@@ -0,0 +1,202 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { QuickDB } = require('quick.db');
+const MayaSpaceDatabase = require('./database');
+const QuickDBStore = require('./store');
+const { LocalStorage, createStorage } = require('./storage');
+const { storedMediaType } = require('./media');
+
+// One-shot import of the old quick.db data (users, posts, federated posts,
+// remote actors and chat) into the relational database.
+async function importQuickDb(sourcePath, database) {
+    if (!fs.existsSync(sourcePath)) {
+        throw new Error(`quick.db file not found: ${sourcePath}`);
+    }
+    const source = new QuickDB({ filePath: sourcePath });
+
+    const users = await source.get('users') || {};
+    const posts = await source.get('posts') || [];
+    const federatedPosts = await source.get('federated_posts') || [];
+    const remoteActors = await source.get('remote_actors') || {};
+    const chatMessages = await source.get('chat_messages') || [];
+
+    // Old follower lists used hand-built IRIs that don't always match the
+    // actor id apex generated (which is lower-cased), so map them back
+    const actorIdsByIRI = new Map();
+    for (const user of Object.values(users)) {
+        if (user.actor?.id) {
+            actorIdsByIRI.set(user.actor.id.toLowerCase(), user.actor.id);
+        }
+    }
+    const normalizeIRI = iri => actorIdsByIRI.get(String(iri).toLowerCase()) || iri;
+    const actorIdForUsername = username => users[username]?.actor?.id;
+
+    const counts = { users: 0, follows: 0, posts: 0, reactions: 0, remoteActors: 0, chatMessages: 0 };
+
+    database.transaction(() => {
+        for (const [username, user] of Object.entries(users)) {
+            if (!user.actor?.id || !user.password) {
+                console.warn(`Skipping user ${username}: missing actor or password`);
+                continue;
+            }
+            if (database.getUser(username)) continue;
+            database.createUser({ ...user, username });
+            counts.users++;
+        }
+
+        for (const [username, user] of Object.entries(users)) {
+            const actorId = actorIdForUsername(username);
+            if (!actorId) continue;
+            for (const follower of user.followers || []) {
+                database.addFollow(normalizeIRI(follower), actorId);
+                counts.follows++;
+            }
+            for (const following of user.following || []) {
+                database.addFollow(actorId, normalizeIRI(following));
+                counts.follows++;
+            }
+        }
+
+        for (const actor of Object.values(remoteActors)) {
+            if (!actor?.id) continue;
+            database.saveRemoteActor({
+                id: actor.id,
+                username: actor.username || null,
+                name: actor.name || null,
+                url: actor.url || null,
+                icon: actor.icon || null,
+                domain: actor.domain || new URL(actor.id).hostname,
+                fetchedAt: actor.fetchedAt || new Date().toISOString()
+            });
+            counts.remoteActors++;
+        }
+
+        const allPosts = posts.map(post => ({ ...post, remote: false }))
+            .concat(federatedPosts.map(post => ({ ...post, remote: true })));
+
+        for (const post of allPosts) {
+            if (!post.id || database.getPost(post.id)) continue;
+            const attachments = post.attachments || (post.attachment ? [post.attachment] : []);
+            database.createPost({
+                ...post,
+                authorId: post.remote ? post.authorId : actorIdForUsername(post.author),
+                attachments
+            });
+            if (post.blueskyUri) {
+                database.setBlueskyUris(post.id, post.blueskyUri, post.blueskyWebUrl || null);
+            }
+            counts.posts++;
+
+            const addReaction = (actorId, type, activityId = null) => {
+                if (!actorId) return;
+                database.addReaction(post.id, actorId, type, activityId);
+                counts.reactions++;
+            };
+            for (const username of post.likedBy || []) {
+                addReaction(actorIdForUsername(username), 'like', post.likeActivities?.[username]);
+            }
+            for (const username of post.dislikedBy || []) {
+                addReaction(actorIdForUsername(username), 'dislike');
+            }
+            for (const actorId of post.remoteLikedBy || []) {
+                addReaction(actorId, 'like');
+            }
+            for (const actorId of post.sharedBy || []) {
+                addReaction(actorId, 'share');
+            }
+        }
+
+        for (const message of chatMessages) {
+            if (!message.id) continue;
+            database.addChatMessage({ ...message, room: 'global_chat' });
+            counts.chatMessages++;
+        }
+    });
+
+    return counts;
+}
+
+// Copy everything in the local uploads directory to the configured media
+// storage, then point local posts and their ActivityPub objects at the new
+// URLs. Local files are only deleted with `remove`.
+async function migrateMedia({ source, target, database, apexStore, remove }) {
+    const sameFiles = target instanceof LocalStorage && path.resolve(target.directory) === path.resolve(source.directory);
+    if (sameFiles && target.publicUrl === source.publicUrl) {
+        throw new Error('Media storage is still the local uploads directory; set MEDIA_STORAGE or MEDIA_PUBLIC_URL first');
+    }
+
+    const counts = { files: 0, posts: 0, objects: 0, removed: 0 };
+    const names = await source.list();
+    if (!sameFiles) {
+        for (const name of names) {
+            await target.put(name, await source.get(name), storedMediaType(name));
+            counts.files++;
+        }
+    }
+
+    if (target.publicUrl !== source.publicUrl) {
+        const from = `${source.publicUrl}/`;
+        const to = `${target.publicUrl}/`;
+        counts.posts = database.replaceMediaUrls(from, to);
+        counts.objects = await apexStore.replaceUrlPrefix(from, to);
+    }
+
+    if (remove && !sameFiles) {
+        for (const name of names) {
+            await source.remove(name);
+            counts.removed++;
+        }
+    }
+    return counts;
+}
+
+const commands = {
+    'import-quickdb': async (args) => {
+        const sourcePath = args[0] || process.env.QUICKDB_PATH || 'mayaspace.sqlite';
+        const database = new MayaSpaceDatabase(process.env.DATABASE_PATH || 'mayaspace.db');
+        try {
+            const counts = await importQuickDb(sourcePath, database);
+            console.log(`Imported from ${sourcePath}:`, counts);
+        } finally {
+            database.close();
+        }
+    },
+    'migrate-media': async (args) => {
+        const remove = args.includes('--delete');
+        const directory = path.join('public', 'uploads');
+        const source = new LocalStorage({
+            directory,
+            publicUrl: args.find(arg => !arg.startsWith('--')) || `https://${process.env.DOMAIN || 'localhost'}/uploads`
+        });
+        const target = createStorage(process.env, { directory, publicUrl: source.publicUrl });
+        const database = new MayaSpaceDatabase(process.env.DATABASE_PATH || 'mayaspace.db');
+        const apexStore = await new QuickDBStore({ filePath: process.env.APEX_DATABASE_PATH || 'mayaspace.sqlite' }).setup();
+        try {
+            const counts = await migrateMedia({ source, target, database, apexStore, remove });
+            console.log(`Moved media from ${source.publicUrl} to ${target.publicUrl}:`, counts);
+        } finally {
+            database.close();
+        }
+    }
+};
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+    if (!commands[command]) {
+        console.log('Usage: node migrate.js <command> [args]');
+        console.log('Commands:');
+        console.log('  import-quickdb [path]   Import users, posts and chat from an old quick.db file (default: mayaspace.sqlite)');
+        console.log('  migrate-media [url] [--delete]');
+        console.log('                          Copy public/uploads to the configured MEDIA_STORAGE and update media URLs');
+        console.log('                          (url: where the uploads were served, default https://DOMAIN/uploads;');
+        console.log('                          --delete removes the local copies afterwards)');
+        process.exit(command ? 1 : 0);
+    }
+    await commands[command](args);
+}
+
+main().catch(error => {
+    console.error('Migration failed:', error);
+    process.exit(1);
+});
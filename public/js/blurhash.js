@@ -0,0 +1,96 @@
+// Blurhash placeholders: media with a data-blurhash attribute gets the decoded
+// blur as its background, so there is something to see while it loads.
+// Decoder follows the reference implementation at https://github.com/woltapp/blurhash
+(function() {
+    const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+    const SIZE = 32;
+
+    function decode83(text) {
+        let value = 0;
+        for (const char of text) {
+            const digit = DIGITS.indexOf(char);
+            if (digit === -1) throw new Error('Invalid blurhash');
+            value = value * 83 + digit;
+        }
+        return value;
+    }
+
+    function sRGBToLinear(value) {
+        const v = value / 255;
+        return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+    }
+
+    function linearToSRGB(value) {
+        const v = Math.max(0, Math.min(1, value));
+        return v <= 0.0031308
+            ? Math.round(v * 12.92 * 255 + 0.5)
+            : Math.round((1.055 * Math.pow(v, 1 / 2.4) - 0.055) * 255 + 0.5);
+    }
+
+    function signPow(value, exp) {
+        return Math.sign(value) * Math.pow(Math.abs(value), exp);
+    }
+
+    function decode(blurhash, width, height) {
+        const sizeFlag = decode83(blurhash[0]);
+        const numY = Math.floor(sizeFlag / 9) + 1;
+        const numX = (sizeFlag % 9) + 1;
+        if (blurhash.length !== 4 + 2 * numX * numY) throw new Error('Invalid blurhash');
+
+        const maxValue = (decode83(blurhash[1]) + 1) / 166;
+        const dc = decode83(blurhash.substring(2, 6));
+        const colors = [[sRGBToLinear(dc >> 16), sRGBToLinear((dc >> 8) & 255), sRGBToLinear(dc & 255)]];
+        for (let i = 1; i < numX * numY; i++) {
+            const ac = decode83(blurhash.substring(4 + i * 2, 6 + i * 2));
+            colors.push([
+                signPow((Math.floor(ac / (19 * 19)) - 9) / 9, 2) * maxValue,
+                signPow((Math.floor(ac / 19) % 19 - 9) / 9, 2) * maxValue,
+                signPow((ac % 19 - 9) / 9, 2) * maxValue
+            ]);
+        }
+
+        const pixels = new Uint8ClampedArray(width * height * 4);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let r = 0, g = 0, b = 0;
+                for (let j = 0; j < numY; j++) {
+                    for (let i = 0; i < numX; i++) {
+                        const basis = Math.cos(Math.PI * x * i / width) * Math.cos(Math.PI * y * j / height);
+                        const color = colors[i + j * numX];
+                        r += color[0] * basis;
+                        g += color[1] * basis;
+                        b += color[2] * basis;
+                    }
+                }
+                const index = 4 * (x + y * width);
+                pixels[index] = linearToSRGB(r);
+                pixels[index + 1] = linearToSRGB(g);
+                pixels[index + 2] = linearToSRGB(b);
+                pixels[index + 3] = 255;
+            }
+        }
+        return pixels;
+    }
+
+    function toDataUrl(blurhash) {
+        const canvas = document.createElement('canvas');
+        canvas.width = SIZE;
+        canvas.height = SIZE;
+        const context = canvas.getContext('2d');
+        const image = context.createImageData(SIZE, SIZE);
+        image.data.set(decode(blurhash, SIZE, SIZE));
+        context.putImageData(image, 0, 0);
+        return canvas.toDataURL();
+    }
+
+    document.addEventListener('DOMContentLoaded', function() {
+        document.querySelectorAll('[data-blurhash]').forEach(element => {
+            try {
+                element.style.backgroundImage = `url(${toDataUrl(element.dataset.blurhash)})`;
+                element.style.backgroundSize = 'cover';
+            } catch (error) {
+                // A bad hash from another server just means no placeholder
+            }
+        });
+    });
+})();
@@ -0,0 +1,30 @@
+// Posts whose uploads are still being converted show a progress placeholder;
+// poll until the media is ready, then swap the gallery in.
+(function() {
+    const INTERVAL = 3000;
+
+    function poll(element) {
+        fetch(`/api/posts/${encodeURIComponent(element.dataset.processingPost)}/media`)
+            .then(response => {
+                // The post was deleted meanwhile
+                if (response.status === 404) return { processing: false, html: '' };
+                return response.ok ? response.json() : Promise.reject(new Error(response.statusText));
+            })
+            .then(status => {
+                if (status.processing) {
+                    element.querySelector('.media-progress').textContent = `${status.progress}%`;
+                    setTimeout(() => poll(element), INTERVAL);
+                } else {
+                    element.outerHTML = status.html;
+                }
+            })
+            .catch(() => {
+                // Server busy or offline: try again a bit later
+                setTimeout(() => poll(element), INTERVAL * 5);
+            });
+    }
+
+    document.addEventListener('DOMContentLoaded', function() {
+        document.querySelectorAll('[data-processing-post]').forEach(poll);
+    });
+})();
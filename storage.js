@@ -0,0 +1,166 @@
+// Where uploaded media is kept: the local uploads directory by default, or
+// any S3-compatible bucket (AWS, MinIO, R2...) with MEDIA_STORAGE=s3. Files
+// are addressed by name; their public URL is MEDIA_PUBLIC_URL/<name>.
+
+const fs = require('fs');
+const path = require('path');
+
+// Only plain file names are stored, never paths
+function isFileName(name) {
+    return !!name && name === path.basename(name) && !name.startsWith('.');
+}
+
+class MediaStorage {
+    constructor({ publicUrl }) {
+        this.publicUrl = publicUrl.replace(/\/+$/, '');
+    }
+
+    urlFor(name) {
+        return `${this.publicUrl}/${name}`;
+    }
+
+    // Name of a file in this storage from its public URL, or null for any other URL
+    nameOf(url) {
+        const prefix = `${this.publicUrl}/`;
+        if (typeof url !== 'string' || !url.startsWith(prefix)) return null;
+        const name = url.slice(prefix.length);
+        return isFileName(name) ? name : null;
+    }
+}
+
+class LocalStorage extends MediaStorage {
+    constructor({ directory, publicUrl }) {
+        super({ publicUrl });
+        this.directory = directory;
+    }
+
+    /**
+     * Store a file
+     * @param {string} name
+     * @param {Buffer|string} data - contents, or the path of a file to move into storage
+     * @param {string} [mediaType]
+     */
+    async put(name, data) {
+        fs.mkdirSync(this.directory, { recursive: true });
+        const target = path.join(this.directory, name);
+        if (Buffer.isBuffer(data)) return fs.promises.writeFile(target, data);
+        try {
+            await fs.promises.rename(data, target);
+        } catch (error) {
+            // The temp directory may be on another disk
+            if (error.code !== 'EXDEV') throw error;
+            await fs.promises.copyFile(data, target);
+            await fs.promises.unlink(data);
+        }
+    }
+
+    async get(name) {
+        try {
+            return await fs.promises.readFile(path.join(this.directory, name));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async remove(name) {
+        await fs.promises.rm(path.join(this.directory, name), { force: true });
+    }
+
+    async list() {
+        if (!fs.existsSync(this.directory)) return [];
+        return fs.readdirSync(this.directory, { withFileTypes: true })
+            .filter(entry => entry.isFile() && isFileName(entry.name))
+            .map(entry => entry.name);
+    }
+}
+
+class S3Storage extends MediaStorage {
+    constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, publicUrl }) {
+        if (!bucket) throw new Error('S3_BUCKET is required for S3 media storage');
+        if (!publicUrl && !endpoint) throw new Error('MEDIA_PUBLIC_URL is required for S3 media storage');
+        super({ publicUrl: publicUrl || `${endpoint.replace(/\/+$/, '')}/${bucket}` });
+        // Loaded here so local-only installs don't need the SDK configured
+        const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
+        this.commands = { PutObjectCommand, GetObjectCommand, DeleteObjectCommand, ListObjectsV2Command };
+        this.bucket = bucket;
+        this.client = new S3Client({
+            region: region || 'us-east-1',
+            endpoint: endpoint || undefined,
+            forcePathStyle: !!forcePathStyle,
+            credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+        });
+    }
+
+    // The bucket serves files directly, so the safe headers the local
+    // uploads route adds are stored with each object instead
+    async put(name, data, mediaType) {
+        const body = Buffer.isBuffer(data) ? data : await fs.promises.readFile(data);
+        await this.client.send(new this.commands.PutObjectCommand({
+            Bucket: this.bucket,
+            Key: name,
+            Body: body,
+            ContentType: mediaType || 'application/octet-stream',
+            ContentDisposition: mediaType ? 'inline' : 'attachment',
+            CacheControl: 'public, max-age=31536000, immutable'
+        }));
+        if (!Buffer.isBuffer(data)) await fs.promises.unlink(data);
+    }
+
+    async get(name) {
+        try {
+            const result = await this.client.send(new this.commands.GetObjectCommand({ Bucket: this.bucket, Key: name }));
+            return Buffer.from(await result.Body.transformToByteArray());
+        } catch (error) {
+            if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+            throw error;
+        }
+    }
+
+    async remove(name) {
+        await this.client.send(new this.commands.DeleteObjectCommand({ Bucket: this.bucket, Key: name }));
+    }
+
+    async list() {
+        const names = [];
+        let token;
+        do {
+            const page = await this.client.send(new this.commands.ListObjectsV2Command({
+                Bucket: this.bucket,
+                ContinuationToken: token
+            }));
+            names.push(...(page.Contents || []).map(object => object.Key).filter(isFileName));
+            token = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (token);
+        return names;
+    }
+}
+
+/**
+ * Media storage configured by the environment
+ * @param  {object} env - process.env
+ * @param  {object} defaults
+ * @param  {string} defaults.directory - local uploads directory
+ * @param  {string} defaults.publicUrl - URL the local directory is served at
+ * @returns {LocalStorage|S3Storage}
+ */
+function createStorage(env, { directory, publicUrl }) {
+    const backend = (env.MEDIA_STORAGE || 'local').toLowerCase();
+    if (backend === 'local') {
+        return new LocalStorage({ directory, publicUrl: env.MEDIA_PUBLIC_URL || publicUrl });
+    }
+    if (backend === 's3') {
+        return new S3Storage({
+            bucket: env.S3_BUCKET,
+            region: env.S3_REGION,
+            endpoint: env.S3_ENDPOINT,
+            accessKeyId: env.S3_ACCESS_KEY_ID,
+            secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+            forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true',
+            publicUrl: env.MEDIA_PUBLIC_URL
+        });
+    }
+    throw new Error(`Unknown MEDIA_STORAGE: ${env.MEDIA_STORAGE}`);
+}
+
+module.exports = { LocalStorage, S3Storage, createStorage };
@@ -1,171 +1,501 @@
+const crypto = require('crypto');
 const IApexStore = require('activitypub-express/store/interface');
 const { QuickDB } = require('quick.db');
 
+// Whether a JSON-LD value list holds the given id, either as a plain IRI or as an embedded object
+function includesId(values, id) {
+    if (!Array.isArray(values)) values = values ? [values] : [];
+    return values.some(value => value === id || value?.id === id);
+}
+
+function withoutMeta(doc) {
+    if (!doc || typeof doc !== 'object') return doc;
+    const { _meta, ...rest } = doc;
+    return rest;
+}
+
+// Stored activity as apex expects it back: the stream cursor is never exposed
+function storedActivity(doc, includeMeta) {
+    const { _id, ...activity } = doc;
+    return includeMeta ? activity : withoutMeta(activity);
+}
+
+// Ids a JSON-LD value list refers to, whether plain IRIs or embedded objects
+function idsOf(values) {
+    if (!Array.isArray(values)) values = values ? [values] : [];
+    return values.map(value => typeof value === 'string' ? value : value?.id).filter(id => typeof id === 'string');
+}
+
+// Value at a dotted path, e.g. 'object.type'; like mongo, arrays on the
+// way are traversed and give the values of each of their items
+function valueAt(doc, path) {
+    return path.split('.').reduce((value, key) => {
+        if (Array.isArray(value) && !/^\d+$/.test(key)) {
+            return value.flatMap(item => item?.[key] ?? []);
+        }
+        return value?.[key];
+    }, doc);
+}
+
+// Mongo equality: a field matches a value it equals, or an array holding it
+function matchesValue(actual, expected) {
+    const same = value => JSON.stringify(value) === JSON.stringify(expected);
+    return same(actual) || (Array.isArray(actual) && actual.some(same));
+}
+
+const matchOperators = {
+    $eq: matchesValue,
+    $ne: (actual, expected) => !matchesValue(actual, expected),
+    $in: (actual, expected) => expected.some(value => matchesValue(actual, value)),
+    $nin: (actual, expected) => !expected.some(value => matchesValue(actual, value)),
+    $exists: (actual, expected) => (actual !== undefined) === !!expected
+};
+
+// The subset of mongo's $match the apex store interface is used with:
+// field equality and the operators above, on dotted paths
+function matchFilter(filter) {
+    const tests = Object.entries(filter).map(([path, condition]) => {
+        const isOperators = condition && typeof condition === 'object' && !Array.isArray(condition)
+            && Object.keys(condition).some(key => key.startsWith('$'));
+        if (!isOperators) return doc => matchesValue(valueAt(doc, path), condition);
+        const checks = Object.entries(condition).map(([operator, expected]) => {
+            if (!matchOperators[operator]) throw new Error(`QuickDBStore: unsupported query operator ${operator}`);
+            return doc => matchOperators[operator](valueAt(doc, path), expected);
+        });
+        return doc => checks.every(check => check(doc));
+    });
+    return doc => tests.every(test => test(doc));
+}
+
+// getStream's extra aggregation stages, as one filter; only $match is supported
+function queryFilter(query) {
+    if (query === undefined || query === null) return () => true;
+    if (!Array.isArray(query)) throw new Error('QuickDBStore: query must be an array of aggregation stages');
+    const filters = query.map(stage => {
+        const [name, ...rest] = Object.keys(stage || {});
+        if (name !== '$match' || rest.length) throw new Error(`QuickDBStore: unsupported query stage ${name}`);
+        return matchFilter(stage.$match);
+    });
+    return doc => filters.every(filter => filter(doc));
+}
+
+// Top-level keys are set, null values are removed (same rules as the mongo store)
+function applyUpdate(doc, update) {
+    for (const [key, value] of Object.entries(update)) {
+        if (key === 'id') continue;
+        if (value === null) {
+            delete doc[key];
+        } else {
+            doc[key] = value;
+        }
+    }
+    return doc;
+}
+
 class QuickDBStore extends IApexStore {
-    constructor() {
+    constructor(options = {}) {
         super();
-        this.db = new QuickDB({ filePath: 'mayaspace.sqlite' });
+        this.db = new QuickDB({ filePath: options.filePath || 'mayaspace.sqlite' });
+        // One row per document so a write never rewrites a whole collection
+        this.objects = this.db.table('apex_objects');
+        this.streams = this.db.table('apex_streams');
+        this.contexts = this.db.table('apex_contexts');
+        this.deliveries = this.db.table('apex_deliveries');
+        // The tables live in one SQLite file, queried directly for lookups
+        // that would otherwise read every row
+        this.sql = this.db.driver.database;
+        // Optional external queue (see delivery.js) that sends deliveries itself
+        this.deliveryQueue = options.deliveryQueue || null;
+        this.lastSequence = 0;
     }
 
-    async getObject(id, includeMeta) {
-        const object = await this.db.get(`objects.${this.safeKey(id)}`);
-        if (!object) return null;
-        if (includeMeta) {
-            return object;
+    async setup(optionalActor) {
+        await Promise.all([this.objects, this.streams, this.contexts, this.deliveries].map(table => table.init()));
+        this.createIndexes();
+        await this.importLegacyData();
+        if (optionalActor) {
+            await this.objects.set(this.safeKey(optionalActor.id), optionalActor);
         }
-        return object.object;
+        return this;
     }
 
-    async saveObject(object) {
-        if (!object.id) return new Error('object must have an id');
-        const storageObject = {
-            id: object.id,
-            object: object,
-            meta: {
-                createdAt: new Date().toISOString()
-            }
+    // Activities are indexed by the collections they're in, their actors and
+    // their objects, so streams are read without scanning every activity
+    createIndexes() {
+        this.sql.exec(`
+            CREATE TABLE IF NOT EXISTS apex_stream_index (
+                activity TEXT NOT NULL,
+                field TEXT NOT NULL,
+                value TEXT NOT NULL,
+                sequence INTEGER NOT NULL,
+                PRIMARY KEY (field, value, activity)
+            );
+            CREATE INDEX IF NOT EXISTS apex_stream_index_sequence ON apex_stream_index (field, value, sequence);
+            CREATE INDEX IF NOT EXISTS apex_stream_index_activity ON apex_stream_index (activity);
+            CREATE INDEX IF NOT EXISTS apex_objects_local_actors ON apex_objects (json_extract(json, '$.type'))
+                WHERE json_extract(json, '$._meta.privateKey') IS NOT NULL;
+            CREATE INDEX IF NOT EXISTS apex_deliveries_order ON apex_deliveries (json_extract(json, '$.after'), CAST(ID AS INTEGER));
+            CREATE INDEX IF NOT EXISTS apex_deliveries_actor ON apex_deliveries (json_extract(json, '$.actorId'));
+        `);
+        this.statements = {
+            unindex: this.sql.prepare('DELETE FROM apex_stream_index WHERE activity = ?'),
+            index: this.sql.prepare('INSERT OR IGNORE INTO apex_stream_index (activity, field, value, sequence) VALUES (?, ?, ?, ?)')
         };
-        await this.db.set(`objects.${this.safeKey(object.id)}`, storageObject);
-        return storageObject;
+        // Streams saved before the index existed are indexed once
+        const indexed = this.sql.prepare('SELECT 1 FROM apex_stream_index LIMIT 1').get();
+        if (!indexed) {
+            for (const row of this.sql.prepare('SELECT ID, json FROM apex_streams').all()) {
+                this.indexActivity(row.ID, JSON.parse(row.json));
+            }
+        }
     }
 
-    async getActivity(id, includeMeta) {
-        const activity = await this.db.get(`activities.${this.safeKey(id)}`);
-        if (!activity) return null;
-        if (includeMeta) {
-            return activity;
-        }
-        return activity.activity;
+    indexActivity(key, activity) {
+        this.sql.transaction(() => {
+            this.statements.unindex.run(key);
+            const fields = {
+                collection: activity._meta?.collection || [],
+                actor: idsOf(activity.actor),
+                object: idsOf(activity.object)
+            };
+            for (const [field, values] of Object.entries(fields)) {
+                for (const value of values) this.statements.index.run(key, field, value, activity._id);
+            }
+        })();
     }
-    
-    async saveActivity(activity) {
-        if (!activity.id) return new Error('activity must have an id');
-        const storageActivity = {
-            id: activity.id,
-            activity: activity,
-            meta: {
-                createdAt: new Date().toISOString()
+
+    async setActivity(key, activity) {
+        await this.streams.set(key, activity);
+        this.indexActivity(key, activity);
+    }
+
+    // Stored activities in a collection, oldest first unless `newestFirst`.
+    // `where` adds SQL conditions on the index row `c` with their parameters.
+    *collectionRows(collectionId, { where = '', params = {}, newestFirst = false } = {}) {
+        const rows = this.sql.prepare(`
+            SELECT s.json FROM apex_stream_index c
+            JOIN apex_streams s ON s.ID = c.activity
+            WHERE c.field = 'collection' AND c.value = @collectionId ${where}
+            ORDER BY c.sequence ${newestFirst ? 'DESC' : 'ASC'}
+        `).iterate({ ...params, collectionId });
+        for (const row of rows) yield JSON.parse(row.json);
+    }
+
+    // Earlier versions kept every object and activity nested under two keys
+    // of the default table; move them into their own tables once
+    async importLegacyData() {
+        const legacyObjects = await this.db.get('objects');
+        if (legacyObjects) {
+            for (const stored of Object.values(legacyObjects)) {
+                if (stored?.object?.id) await this.saveObject(stored.object);
             }
-        };
-        await this.db.set(`activities.${this.safeKey(activity.id)}`, storageActivity);
-        return storageActivity;
+            await this.db.delete('objects');
+        }
+        const legacyActivities = await this.db.get('activities');
+        if (legacyActivities) {
+            const ordered = Object.values(legacyActivities)
+                .filter(stored => stored?.activity?.id)
+                .sort((a, b) => new Date(a.meta?.createdAt) - new Date(b.meta?.createdAt));
+            for (const stored of ordered) {
+                await this.saveActivity(stored.activity);
+            }
+            await this.db.delete('activities');
+        }
     }
-    
-    // quick.db keys can't contain '.' so we replace them
+
+    // quick.db splits keys on '.', so ids are percent-encoded with dots escaped
     safeKey(key) {
-        return key.replace(/[\.\/]/g, '_');
+        return encodeURIComponent(key).replace(/\./g, '%2E');
+    }
+
+    // Insertion order for streams, used for sorting and as the page cursor
+    nextSequence() {
+        this.lastSequence = Math.max(Date.now() * 1000, this.lastSequence + 1);
+        return this.lastSequence;
     }
-    
-    // --- Methods to be implemented ---
-    
-    setup(optionalActor) {
-        // No setup needed for quick.db
-        return Promise.resolve(this);
+
+    // --- Objects ---
+
+    async getObject(id, includeMeta) {
+        const object = await this.objects.get(this.safeKey(id));
+        if (!object) return null;
+        // strict comparison so private keys are never returned by accident
+        return includeMeta === true ? object : withoutMeta(object);
     }
-    
-    findActivityByCollectionAndObjectId(collection, objectId, includeMeta) {
-        throw new Error('Not implemented');
+
+    async saveObject(object) {
+        if (!object.id) throw new Error('object must have an id');
+        const key = this.safeKey(object.id);
+        if (await this.objects.has(key)) return false;
+        await this.objects.set(key, object);
+        return true;
     }
 
-    findActivityByCollectionAndActorId(collection, actorId, includeMeta) {
-        throw new Error('Not implemented');
+    async updateObject(obj, actorId, fullReplace) {
+        if (!obj.id) throw new Error('object must have an id');
+        const key = this.safeKey(obj.id);
+        const existing = await this.objects.get(key);
+        if (!existing) return undefined;
+
+        const updated = fullReplace ? obj : applyUpdate(existing, obj);
+        await this.objects.set(key, updated);
+        await this.updateObjectCopies(updated);
+        return fullReplace ? updated : withoutMeta(updated);
     }
-    
-    async getStream(collectionId, limit = 50, after, blockList = [], query) {
-        const allActivities = await this.db.get('activities') || {};
-        let activities = Object.values(allActivities);
 
-        // This is a very basic implementation.
-        // A real implementation would need to handle collections properly.
-        // For now, we assume all activities are in a single "stream".
-        
-        if (after) {
-            const afterIndex = activities.findIndex(a => a.id === after);
-            if (afterIndex > -1) {
-                activities = activities.slice(afterIndex + 1);
+    // Activities embed copies of their objects, so edits have to reach them too
+    async updateObjectCopies(object) {
+        const copy = withoutMeta(object);
+        const keys = this.sql.prepare(`SELECT activity FROM apex_stream_index WHERE field = 'object' AND value = ?`)
+            .pluck().all(object.id);
+        for (const key of keys) {
+            const doc = await this.streams.get(key);
+            if (!Array.isArray(doc?.object) || !doc.object.some(item => item?.id === object.id)) continue;
+            doc.object = doc.object.map(item => item?.id === object.id ? copy : item);
+            await this.streams.set(key, doc);
+        }
+        if (object._meta?.privateKey) {
+            // in case actor keypairs are updated while deliveries are queued
+            const queued = this.sql.prepare(`SELECT ID, json FROM apex_deliveries WHERE json_extract(json, '$.actorId') = ?`)
+                .all(object.id);
+            for (const row of queued) {
+                const delivery = JSON.parse(row.json);
+                delivery.signingKey = object._meta.privateKey;
+                await this.deliveries.set(row.ID, delivery);
             }
         }
-
-        activities = activities.filter(a => !blockList.includes(a.activity.actor));
-        
-        return activities
-            .sort((a, b) => new Date(b.activity.published) - new Date(a.activity.published))
-            .slice(0, limit);
     }
-    
-    async getStreamCount(collectionId) {
-        const allActivities = await this.db.get('activities') || {};
-        return Object.keys(allActivities).length;
+
+    // Point every stored object and activity at a new URL prefix, for when
+    // media moves to other storage (see migrate.js)
+    async replaceUrlPrefix(from, to) {
+        let changed = 0;
+        for (const table of [this.objects, this.streams]) {
+            for (const { id, value } of await table.all()) {
+                const json = JSON.stringify(value);
+                if (!json.includes(from)) continue;
+                await table.set(id, JSON.parse(json.split(from).join(to)));
+                changed++;
+            }
+        }
+        return changed;
     }
-    
-    getContext(documentUrl) {
-        // For now, we won't cache contexts
-        return Promise.resolve(null);
+
+    // Local accounts are the actors this server holds private keys for
+    async getUserCount() {
+        return this.sql.prepare(`
+            SELECT COUNT(*) FROM apex_objects
+            WHERE json_extract(json, '$._meta.privateKey') IS NOT NULL AND json_extract(json, '$.type') = 'Person'
+        `).pluck().get();
     }
-    
+
+    // Name used by the store interface; apex itself calls getUserCount
     getUsercount() {
-        throw new Error('Not implemented');
+        return this.getUserCount();
     }
-    
-    saveContext(context) {
-        // For now, we won't cache contexts
-        return Promise.resolve();
+
+    // --- Activities and streams ---
+
+    async getActivity(id, includeMeta) {
+        const activity = await this.streams.get(this.safeKey(id));
+        if (!activity) return null;
+        return storedActivity(activity, includeMeta);
+    }
+
+    async saveActivity(activity) {
+        if (!activity.id) throw new Error('activity must have an id');
+        const key = this.safeKey(activity.id);
+        if (await this.streams.has(key)) return undefined;
+        await this.setActivity(key, { ...activity, _id: this.nextSequence() });
+        return true;
     }
-    
+
     async removeActivity(activity, actorId) {
-        await this.db.delete(`activities.${this.safeKey(activity.id)}`);
+        const key = this.safeKey(activity.id);
+        const existing = await this.streams.get(key);
+        if (!existing || !includesId(existing.actor, actorId)) return 0;
+        this.statements.unindex.run(key);
+        return this.streams.delete(key);
     }
 
     async updateActivity(activity, fullReplace) {
-        const id = activity.id;
-        if (fullReplace) {
-            return this.saveActivity(activity);
-        }
-        const existing = await this.db.get(`activities.${this.safeKey(id)}`);
-        if (!existing) {
-            return this.saveActivity(activity);
-        }
-        const newActivity = { ...existing.activity, ...activity };
-        existing.activity = newActivity;
-        await this.db.set(`activities.${this.safeKey(id)}`, existing);
-        return existing;
+        const key = this.safeKey(activity.id);
+        const existing = await this.streams.get(key);
+        if (!existing) return activity;
+
+        const updated = fullReplace
+            ? { ...activity, _id: existing._id }
+            : applyUpdate(existing, activity);
+        await this.setActivity(key, updated);
+        await this.updateObjectCopies(updated);
+        return storedActivity(updated, true);
     }
-    
+
     async updateActivityMeta(activity, key, value, remove) {
-        const id = activity.id;
-        const existing = await this.db.get(`activities.${this.safeKey(id)}`);
+        const streamKey = this.safeKey(activity.id);
+        const existing = await this.streams.get(streamKey);
         if (!existing) {
-            return;
+            throw new Error('Error updating activity meta: not found');
         }
-        if (remove) {
-            delete existing.meta[key];
-        } else {
-            existing.meta[key] = value;
+        const meta = existing._meta || {};
+        const values = (meta[key] || []).filter(item => item !== value);
+        if (!remove) values.push(value);
+        meta[key] = values;
+        existing._meta = meta;
+        await this.setActivity(streamKey, existing);
+        return storedActivity(existing, true);
+    }
+
+    async findActivityByCollectionAndObjectId(collection, objectId, includeMeta) {
+        const [activity] = this.collectionRows(collection, {
+            where: `AND EXISTS (SELECT 1 FROM apex_stream_index o
+                WHERE o.activity = c.activity AND o.field = 'object' AND o.value = @objectId)`,
+            params: { objectId }
+        });
+        if (!activity) return null;
+        return storedActivity(activity, includeMeta);
+    }
+
+    async findActivityByCollectionAndActorId(collection, actorId, includeMeta) {
+        const [activity] = this.collectionRows(collection, {
+            where: `AND EXISTS (SELECT 1 FROM apex_stream_index a
+                WHERE a.activity = c.activity AND a.field = 'actor' AND a.value = @actorId)`,
+            params: { actorId }
+        });
+        if (!activity) return null;
+        return storedActivity(activity, includeMeta);
+    }
+
+    /**
+     * Return a collection (stream of activities), newest first, e.g. a user's inbox
+     * @param  {string} collectionId - _meta.collection identifier
+     * @param  {number} limit - max number of activities to return
+     * @param  {string} [after] - _id to begin querying after (i.e. last item of last page)
+     * @param  {string[]} [blockList] - ids of actors whose activities are excluded
+     * @param  {object[]} [query] - extra aggregation stages; only $match is supported
+     * @returns {Promise<object[]>}
+     */
+    async getStream(collectionId, limit, after, blockList = [], query) {
+        const matches = queryFilter(query);
+        const conditions = [];
+        const params = {};
+        if (after) {
+            params.after = Number(after);
+            if (!Number.isSafeInteger(params.after)) {
+                throw new Error('QuickDBStore: invalid page value');
+            }
+            conditions.push('AND c.sequence < @after');
+        }
+        if (blockList?.length) {
+            params.blockList = JSON.stringify(blockList);
+            conditions.push(`AND NOT EXISTS (SELECT 1 FROM apex_stream_index a
+                WHERE a.activity = c.activity AND a.field = 'actor' AND a.value IN (SELECT value FROM json_each(@blockList)))`);
+        }
+
+        const activities = [];
+        for (const activity of this.collectionRows(collectionId, { where: conditions.join(' '), params, newestFirst: true })) {
+            if (!matches(activity)) continue;
+            activities.push(activity);
+            if (limit && activities.length >= limit) break;
+        }
+
+        // Expand actors to their full objects and drop activities whose actor is unknown
+        const stream = [];
+        for (const activity of activities) {
+            const actorIds = Array.isArray(activity.actor) ? activity.actor : [activity.actor];
+            const actors = [];
+            for (const actorId of actorIds) {
+                const actor = typeof actorId === 'string' ? await this.getObject(actorId) : withoutMeta(actorId);
+                if (actor) actors.push(actor);
+            }
+            if (!actors.length) continue;
+
+            const item = withoutMeta(activity);
+            item.actor = actors;
+            if (Array.isArray(item.object)) {
+                item.object = item.object.map(withoutMeta);
+            }
+            stream.push(item);
         }
-        await this.db.set(`activities.${this.safeKey(id)}`, existing);
-        return existing;
+        return stream;
+    }
+
+    async getStreamCount(collectionId) {
+        return this.sql.prepare(`SELECT COUNT(*) FROM apex_stream_index WHERE field = 'collection' AND value = ?`)
+            .pluck().get(collectionId);
     }
-    
+
     generateId() {
-        return `https://${this.domain}/o/${Date.now()}`;
+        return crypto.randomBytes(12).toString('hex');
     }
-    
-    async updateObject(obj, actorId, fullReplace) {
-        if (!obj.id) return new Error('object must have an id');
-        return this.saveObject(obj);
+
+    // --- JSON-LD context cache ---
+
+    async getContext(documentUrl) {
+        const context = await this.contexts.get(this.safeKey(documentUrl));
+        if (!context) return null;
+        return { ...context, document: JSON.parse(context.document) };
     }
-    
-    deliveryDequeue() {
-        throw new Error('Not implemented');
+
+    async saveContext({ contextUrl, documentUrl, document }) {
+        await this.contexts.set(this.safeKey(documentUrl), {
+            contextUrl,
+            documentUrl,
+            document: typeof document === 'object' ? JSON.stringify(document) : document
+        });
+    }
+
+    // --- Delivery queue ---
+
+    async deliveryEnqueue(actorId, body, addresses, signingKey) {
+        if (!addresses || !addresses.length) return;
+        if (this.deliveryQueue) {
+            return this.deliveryQueue.enqueue(actorId, body, addresses) > 0;
+        }
+        if (!Array.isArray(addresses)) addresses = [addresses];
+        const after = new Date().toISOString();
+        for (const address of addresses) {
+            await this.deliveries.set(String(this.nextSequence()), {
+                address,
+                actorId,
+                signingKey,
+                body,
+                attempt: 0,
+                after
+            });
+        }
+        return true;
     }
-    
-    deliveryEnqueue(actorId, body, addresses, signingKey) {
-        throw new Error('Not implemented');
+
+    async deliveryDequeue() {
+        // the external queue runs its own worker, so apex's loop has nothing to do
+        if (this.deliveryQueue) return null;
+        const row = this.sql.prepare(`
+            SELECT ID, json FROM apex_deliveries
+            ORDER BY json_extract(json, '$.after'), CAST(ID AS INTEGER)
+            LIMIT 1
+        `).get();
+        if (!row) return null;
+
+        const next = { key: row.ID, delivery: JSON.parse(row.json) };
+        const after = new Date(next.delivery.after);
+        // only future-dated deliveries left, tell apex when to come back
+        if (after > new Date()) {
+            return { waitUntil: after };
+        }
+        await this.deliveries.delete(next.key);
+        return { ...next.delivery, after };
     }
-    
-    deliveryRequeue(delivery) {
-        throw new Error('Not implemented');
+
+    async deliveryRequeue(delivery) {
+        const nextTime = delivery.after.getTime() + Math.pow(10, delivery.attempt++);
+        delivery.after = new Date(nextTime);
+        await this.deliveries.set(String(this.nextSequence()), {
+            ...delivery,
+            after: delivery.after.toISOString()
+        });
+        return true;
     }
 }
 
-module.exports = QuickDBStore; 
\ No newline at end of file
+module.exports = QuickDBStore;
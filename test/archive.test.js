@@ -0,0 +1,46 @@
+// Import archives are size-checked before anything is decompressed
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const AdmZip = require('adm-zip');
+const { readImport } = require('../archive');
+
+function archive(files) {
+    const zip = new AdmZip();
+    for (const [name, contents] of Object.entries(files)) zip.addFile(name, Buffer.from(contents));
+    return zip.toBuffer();
+}
+
+describe('readImport', () => {
+    it('reads posts, follows and media, decompressing media only when read', () => {
+        const data = readImport(archive({
+            'posts.json': JSON.stringify([{ id: 'a', content: 'Hello' }]),
+            'following.csv': 'Account address,Show boosts\nfriend@remote.example,true\n',
+            'media/photo.png': 'png bytes'
+        }), 'export.zip');
+        assert.deepEqual(data.posts, [{ id: 'a', content: 'Hello' }]);
+        assert.deepEqual(data.following, ['friend@remote.example']);
+        const photo = data.media.get('photo.png');
+        assert.equal(photo.size, 9);
+        assert.equal(photo.read().toString(), 'png bytes');
+    });
+
+    it('rejects entries over the size limit before decompressing them', () => {
+        // 150 MB of zeros compresses to well under 1 MB
+        const bomb = archive({ 'posts.json': '[]', 'media/bomb.png': Buffer.alloc(150 * 1024 * 1024) });
+        assert.ok(bomb.length < 1024 * 1024);
+        assert.throws(() => readImport(bomb, 'export.zip'), { code: 'ARCHIVE_LIMIT' });
+    });
+
+    it('rejects media over the space the account has left', () => {
+        const buffer = archive({ 'posts.json': '[]', 'media/a.png': Buffer.alloc(1000) });
+        assert.throws(() => readImport(buffer, 'export.zip', { maxMediaBytes: 999 }), { code: 'MEDIA_QUOTA' });
+        assert.equal(readImport(buffer, 'export.zip', { maxMediaBytes: 1000 }).media.size, 1);
+    });
+
+    it('reads a bare following CSV', () => {
+        const data = readImport(Buffer.from('Account address\nfriend@remote.example\n'), 'following_accounts.csv');
+        assert.deepEqual(data.following, ['friend@remote.example']);
+        assert.equal(data.media.size, 0);
+    });
+});
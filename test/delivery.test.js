@@ -0,0 +1,164 @@
+// Delivery queue against a stand-in inbox server: retries, per-inbox backoff
+// and dead-lettering
+
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const MayaSpaceDatabase = require('../database');
+const DeliveryQueue = require('../delivery');
+
+const actorId = 'https://localhost/u/test';
+
+// Inboxes answer with the statuses queued for their path, then 202
+function inboxServer() {
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const responses = server.responses[req.url] || [];
+            const status = responses.length ? responses.shift() : 202;
+            server.received.push({ path: req.url, body, status, at: Date.now() });
+            res.writeHead(status).end();
+        });
+    });
+    server.responses = {};
+    server.received = [];
+    return server;
+}
+
+// Stands in for apex: keys come from the store, deliver posts the body
+function standInApex() {
+    return {
+        store: {
+            getObject: async id => id === actorId ? { id, _meta: { privateKey: 'key' } } : null
+        },
+        deliver: async (actor, body, address) => {
+            const response = await fetch(address, { method: 'POST', body });
+            return { statusCode: response.status };
+        }
+    };
+}
+
+async function waitFor(check, timeout = 5000) {
+    const start = Date.now();
+    while (!check()) {
+        if (Date.now() - start > timeout) throw new Error('Timed out waiting for the delivery queue');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+describe('DeliveryQueue', () => {
+    let server;
+    let inboxUrl;
+    let db;
+    let queue;
+
+    before(async () => {
+        server = inboxServer();
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        inboxUrl = path => `http://127.0.0.1:${server.address().port}${path}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+        mock.method(console, 'warn', () => {});
+        mock.method(console, 'error', () => {});
+        server.responses = {};
+        server.received = [];
+        db = new MayaSpaceDatabase(':memory:');
+        queue = new DeliveryQueue(db, { maxAttempts: 3, baseDelay: 50, maxDelay: 200 });
+    });
+
+    afterEach(() => {
+        clearTimeout(queue.timer);
+        mock.restoreAll();
+    });
+
+    function enqueue(id, addresses) {
+        return queue.enqueue(actorId, JSON.stringify({ id: `https://localhost/s/${id}`, type: 'Create' }), addresses);
+    }
+
+    it('doubles the backoff for each failure up to the maximum', () => {
+        assert.deepEqual([1, 2, 3, 4].map(failures => queue.backoff(failures)), [50, 100, 200, 200]);
+    });
+
+    it('delivers to the inbox and empties the queue', async () => {
+        queue.start(standInApex());
+        assert.equal(enqueue('a', [inboxUrl('/inbox')]), 1);
+        await waitFor(() => db.getDeliveryCounts().pending === 0);
+
+        assert.equal(server.received.length, 1);
+        assert.equal(JSON.parse(server.received[0].body).id, 'https://localhost/s/a');
+        assert.deepEqual(db.getInboxBackoffs(), []);
+    });
+
+    it('skips an inbox it already has the activity queued for', () => {
+        assert.equal(enqueue('a', [inboxUrl('/inbox'), inboxUrl('/inbox')]), 1);
+        assert.equal(enqueue('a', [inboxUrl('/inbox')]), 0);
+    });
+
+    it('backs a failing inbox off and retries until it recovers', async () => {
+        server.responses['/flaky'] = [503, 429];
+        queue.start(standInApex());
+        enqueue('a', [inboxUrl('/flaky')]);
+
+        await waitFor(() => server.received.length === 1);
+        await waitFor(() => db.getInboxBackoffs().length === 1);
+        const [backoff] = db.getInboxBackoffs();
+        assert.equal(backoff.address, inboxUrl('/flaky'));
+        assert.equal(backoff.failures, 1);
+        assert.ok(new Date(backoff.retryAt) > new Date(server.received[0].at));
+
+        // Another activity for the same inbox waits for the backoff too
+        enqueue('b', [inboxUrl('/flaky')]);
+        await waitFor(() => db.getDeliveryCounts().pending === 0);
+
+        const attempts = server.received.map(request => request.status);
+        assert.deepEqual(attempts, [503, 429, 202, 202]);
+        // 50ms after the first failure, 100ms after the second
+        assert.ok(server.received[1].at - server.received[0].at >= 45);
+        assert.ok(server.received[2].at - server.received[1].at >= 95);
+        assert.deepEqual(db.getInboxBackoffs(), []);
+    });
+
+    it('dead-letters a delivery after maxAttempts', async () => {
+        server.responses['/down'] = [500, 500, 500, 500];
+        queue.start(standInApex());
+        enqueue('a', [inboxUrl('/down')]);
+
+        await waitFor(() => db.getDeliveryCounts().failed === 1);
+        assert.equal(server.received.length, 3);
+        const [failed] = db.getDeliveries('failed');
+        assert.equal(failed.attempts, 3);
+        assert.equal(failed.lastStatus, 500);
+        assert.equal(failed.lastError, 'Request status 500');
+        assert.equal(db.getDeliveryCounts().pending, 0);
+
+        // Dead-lettered deliveries go back in the queue when retried
+        assert.equal(db.retryDelivery(failed.id), true);
+        queue.wake();
+        await waitFor(() => db.getDeliveryCounts().failed === 0 && db.getDeliveryCounts().pending === 0);
+        assert.equal(server.received.at(-1).status, 202);
+    });
+
+    it('does not retry inboxes that refuse the activity', async () => {
+        server.responses['/gone'] = [410];
+        queue.start(standInApex());
+        enqueue('a', [inboxUrl('/gone')]);
+
+        await waitFor(() => db.getDeliveryCounts().failed === 1);
+        assert.equal(server.received.length, 1);
+        assert.equal(db.getDeliveries('failed')[0].attempts, 1);
+        assert.deepEqual(db.getInboxBackoffs(), []);
+    });
+
+    it('dead-letters deliveries for actors without a signing key', async () => {
+        queue.start(standInApex());
+        queue.enqueue('https://localhost/u/missing', JSON.stringify({ id: 'https://localhost/s/a' }), [inboxUrl('/inbox')]);
+
+        await waitFor(() => db.getDeliveryCounts().failed === 1);
+        assert.equal(server.received.length, 0);
+        assert.match(db.getDeliveries('failed')[0].lastError, /No signing key/);
+    });
+});
@@ -0,0 +1,44 @@
+// Uploads are recognised by their contents
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { sniffMediaType, storedMediaType } = require('../media');
+
+// An ISO media file's first bytes: box size, 'ftyp' and the major brand
+function ftyp(brand) {
+    return Buffer.concat([Buffer.from([0, 0, 0, 0x18]), Buffer.from(`ftyp${brand}`, 'latin1'), Buffer.alloc(4)]);
+}
+
+describe('sniffMediaType', () => {
+    it('recognises allowed images and videos', () => {
+        assert.equal(sniffMediaType(Buffer.from([0xFF, 0xD8, 0xFF, 0xE0])).mediaType, 'image/jpeg');
+        assert.equal(sniffMediaType(Buffer.from('\x89PNG\r\n\x1a\n', 'latin1')).mediaType, 'image/png');
+        assert.equal(sniffMediaType(Buffer.from('GIF89a', 'latin1')).mediaType, 'image/gif');
+        assert.equal(sniffMediaType(Buffer.from('RIFF\0\0\0\0WEBP', 'latin1')).mediaType, 'image/webp');
+        assert.equal(sniffMediaType(Buffer.from([0x1A, 0x45, 0xDF, 0xA3])).mediaType, 'video/webm');
+        assert.equal(sniffMediaType(ftyp('qt  ')).mediaType, 'video/quicktime');
+    });
+
+    it('only takes ftyp files with an MP4 brand as MP4 video', () => {
+        for (const brand of ['isom', 'mp42', 'mp41', 'avc1', 'M4V ']) {
+            assert.deepEqual(sniffMediaType(ftyp(brand)), { mediaType: 'video/mp4', extension: '.mp4' }, brand);
+        }
+        for (const brand of ['heic', 'heix', 'avif', 'mif1', 'msf1']) {
+            assert.equal(sniffMediaType(ftyp(brand)), null, brand);
+        }
+    });
+
+    it('rejects anything else, whatever it is called', () => {
+        assert.equal(sniffMediaType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg">')), null);
+        assert.equal(sniffMediaType(Buffer.from('<html><script>')), null);
+        assert.equal(sniffMediaType(Buffer.alloc(0)), null);
+    });
+});
+
+describe('storedMediaType', () => {
+    it('serves stored files by extension and nothing else as media', () => {
+        assert.equal(storedMediaType('abc.webp'), 'image/webp');
+        assert.equal(storedMediaType('abc.JPEG'), 'image/jpeg');
+        assert.equal(storedMediaType('abc.html'), null);
+    });
+});
@@ -0,0 +1,216 @@
+// Media storage backends. S3Storage talks to an in-process stand-in for an
+// S3-compatible server (path-style requests, like MinIO).
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { LocalStorage, S3Storage, createStorage } = require('../storage');
+
+const BUCKET = 'media';
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'mayaspace-storage-'));
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+function xml(tag, content) {
+    return `<${tag}>${content}</${tag}>`;
+}
+
+// Objects live in memory; listings are paged two keys at a time
+function s3Server() {
+    const objects = new Map();
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            const [, bucket, ...rest] = url.pathname.split('/');
+            const key = decodeURIComponent(rest.join('/'));
+            server.requests.push({ method: req.method, bucket, key });
+            if (bucket !== BUCKET) return res.writeHead(404).end();
+
+            if (req.method === 'PUT') {
+                objects.set(key, {
+                    body: Buffer.concat(chunks),
+                    headers: {
+                        'content-type': req.headers['content-type'],
+                        'content-disposition': req.headers['content-disposition'],
+                        'cache-control': req.headers['cache-control']
+                    }
+                });
+                return res.writeHead(200, { ETag: '"etag"' }).end();
+            }
+            if (req.method === 'DELETE') {
+                objects.delete(key);
+                return res.writeHead(204).end();
+            }
+            if (req.method === 'GET' && !key) {
+                const keys = [...objects.keys()].sort();
+                const start = url.searchParams.has('continuation-token') ? Number(url.searchParams.get('continuation-token')) : 0;
+                const page = keys.slice(start, start + 2);
+                const truncated = start + 2 < keys.length;
+                res.writeHead(200, { 'Content-Type': 'application/xml' });
+                return res.end(`<?xml version="1.0" encoding="UTF-8"?>` + xml('ListBucketResult',
+                    xml('Name', BUCKET) +
+                    xml('KeyCount', page.length) +
+                    xml('IsTruncated', truncated) +
+                    (truncated ? xml('NextContinuationToken', start + 2) : '') +
+                    page.map(name => xml('Contents', xml('Key', name) + xml('Size', objects.get(name).body.length))).join('')));
+            }
+            if (req.method === 'GET') {
+                const object = objects.get(key);
+                if (!object) {
+                    res.writeHead(404, { 'Content-Type': 'application/xml' });
+                    return res.end(xml('Error', xml('Code', 'NoSuchKey') + xml('Message', 'The specified key does not exist.')));
+                }
+                res.writeHead(200, { ...object.headers, 'Content-Length': object.body.length });
+                return res.end(object.body);
+            }
+            res.writeHead(405).end();
+        });
+    });
+    server.objects = objects;
+    server.requests = [];
+    return server;
+}
+
+describe('S3Storage', () => {
+    let server;
+    let storage;
+    let endpoint;
+
+    before(async () => {
+        server = s3Server();
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        endpoint = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+        server.objects.clear();
+        server.requests = [];
+        storage = new S3Storage({
+            bucket: BUCKET,
+            endpoint,
+            accessKeyId: 'minio',
+            secretAccessKey: 'minio-secret',
+            forcePathStyle: true,
+            publicUrl: 'https://cdn.example/media/'
+        });
+    });
+
+    it('requires a bucket and somewhere to serve files from', () => {
+        assert.throws(() => new S3Storage({ endpoint }), /S3_BUCKET/);
+        assert.throws(() => new S3Storage({ bucket: BUCKET }), /MEDIA_PUBLIC_URL/);
+    });
+
+    it('builds public URLs from MEDIA_PUBLIC_URL, or the endpoint and bucket', () => {
+        assert.equal(storage.urlFor('a.webp'), 'https://cdn.example/media/a.webp');
+        assert.equal(storage.nameOf('https://cdn.example/media/a.webp'), 'a.webp');
+        assert.equal(storage.nameOf('https://cdn.example/media/nested/a.webp'), null);
+        assert.equal(storage.nameOf('https://elsewhere.example/a.webp'), null);
+
+        const direct = new S3Storage({ bucket: BUCKET, endpoint: `${endpoint}/`, forcePathStyle: true });
+        assert.equal(direct.urlFor('a.webp'), `${endpoint}/${BUCKET}/a.webp`);
+    });
+
+    it('puts buffers with the headers a browser needs to show them safely', async () => {
+        await storage.put('a.webp', Buffer.from('webp bytes'), 'image/webp');
+        const stored = server.objects.get('a.webp');
+        assert.equal(stored.body.toString(), 'webp bytes');
+        assert.deepEqual(stored.headers, {
+            'content-type': 'image/webp',
+            'content-disposition': 'inline',
+            'cache-control': 'public, max-age=31536000, immutable'
+        });
+    });
+
+    it('downloads files that are not media', async () => {
+        await storage.put('notes.txt', Buffer.from('text'));
+        assert.equal(server.objects.get('notes.txt').headers['content-type'], 'application/octet-stream');
+        assert.equal(server.objects.get('notes.txt').headers['content-disposition'], 'attachment');
+    });
+
+    it('moves files from disk into the bucket', async () => {
+        const file = path.join(fs.mkdtempSync(path.join(tmp, 'files-')), 'upload');
+        fs.writeFileSync(file, 'mp4 bytes');
+        await storage.put('b.mp4', file, 'video/mp4');
+        assert.equal(server.objects.get('b.mp4').body.toString(), 'mp4 bytes');
+        assert.equal(fs.existsSync(file), false);
+    });
+
+    it('gets files back, and null for missing ones', async () => {
+        await storage.put('a.webp', Buffer.from('webp bytes'), 'image/webp');
+        assert.equal((await storage.get('a.webp')).toString(), 'webp bytes');
+        assert.equal(await storage.get('missing.webp'), null);
+    });
+
+    it('removes files', async () => {
+        await storage.put('a.webp', Buffer.from('webp bytes'), 'image/webp');
+        await storage.remove('a.webp');
+        assert.equal(server.objects.has('a.webp'), false);
+        assert.deepEqual(server.requests.at(-1), { method: 'DELETE', bucket: BUCKET, key: 'a.webp' });
+    });
+
+    it('lists every page of plain file names', async () => {
+        for (const name of ['a.webp', 'b.webp', 'c.mp4', 'd.gif', '.hidden']) {
+            await storage.put(name, Buffer.from(name), 'image/webp');
+        }
+        server.objects.set('nested/e.webp', { body: Buffer.from('e'), headers: {} });
+        assert.deepEqual((await storage.list()).sort(), ['a.webp', 'b.webp', 'c.mp4', 'd.gif']);
+    });
+});
+
+describe('LocalStorage', () => {
+    let directory;
+    let storage;
+
+    beforeEach(() => {
+        directory = path.join(fs.mkdtempSync(path.join(tmp, 'files-')), 'uploads');
+        storage = new LocalStorage({ directory, publicUrl: 'https://localhost/uploads' });
+    });
+
+    it('puts, gets, lists and removes files', async () => {
+        await storage.put('a.webp', Buffer.from('webp bytes'), 'image/webp');
+        const file = path.join(path.dirname(directory), 'upload');
+        fs.writeFileSync(file, 'mp4 bytes');
+        await storage.put('b.mp4', file, 'video/mp4');
+
+        assert.equal(fs.existsSync(file), false);
+        assert.equal((await storage.get('b.mp4')).toString(), 'mp4 bytes');
+        assert.deepEqual((await storage.list()).sort(), ['a.webp', 'b.mp4']);
+        await storage.remove('a.webp');
+        assert.equal(await storage.get('a.webp'), null);
+        assert.equal(storage.urlFor('b.mp4'), 'https://localhost/uploads/b.mp4');
+    });
+});
+
+describe('createStorage', () => {
+    const defaults = { directory: 'public/uploads', publicUrl: 'https://localhost/uploads' };
+
+    it('uses the uploads directory unless told otherwise', () => {
+        const storage = createStorage({}, defaults);
+        assert.ok(storage instanceof LocalStorage);
+        assert.equal(storage.urlFor('a.webp'), 'https://localhost/uploads/a.webp');
+    });
+
+    it('configures S3 from the environment', () => {
+        const storage = createStorage({
+            MEDIA_STORAGE: 'S3',
+            S3_BUCKET: BUCKET,
+            S3_ENDPOINT: 'http://127.0.0.1:9000',
+            S3_FORCE_PATH_STYLE: 'true',
+            MEDIA_PUBLIC_URL: 'https://cdn.example/media'
+        }, defaults);
+        assert.ok(storage instanceof S3Storage);
+        assert.equal(storage.bucket, BUCKET);
+        assert.equal(storage.urlFor('a.webp'), 'https://cdn.example/media/a.webp');
+    });
+
+    it('rejects unknown backends', () => {
+        assert.throws(() => createStorage({ MEDIA_STORAGE: 'ftp' }, defaults), /Unknown MEDIA_STORAGE/);
+    });
+});
@@ -0,0 +1,278 @@
+// Conformance tests for QuickDBStore against the apex store interface,
+// following activitypub-express's own store spec
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const QuickDBStore = require('../store');
+
+const domain = 'https://localhost';
+const user = {
+    id: `${domain}/u/test`,
+    type: 'Person',
+    inbox: [`${domain}/u/test/inbox`],
+    outbox: [`${domain}/u/test/outbox`],
+    followers: [`${domain}/u/test/followers`],
+    _meta: { privateKey: 'key' }
+};
+const remote = { id: 'https://remote.example/u/friend', type: 'Person', inbox: ['https://remote.example/u/friend/inbox'] };
+const outbox = user.outbox[0];
+
+let count = 0;
+function activity(type, actor, fields = {}) {
+    count++;
+    return {
+        id: `${domain}/s/${count}`,
+        type,
+        actor: [actor.id],
+        to: [actor.id],
+        ...fields
+    };
+}
+
+function inCollection(doc, collection) {
+    return { ...doc, _meta: { collection: [collection] } };
+}
+
+async function newStore() {
+    const store = new QuickDBStore({ filePath: ':memory:' });
+    await store.setup();
+    await store.saveObject(structuredClone(user));
+    await store.saveObject(remote);
+    return store;
+}
+
+describe('QuickDBStore', () => {
+    let store;
+    beforeEach(async () => {
+        store = await newStore();
+    });
+
+    describe('objects', () => {
+        it('saves objects once and hides meta unless asked for', async () => {
+            assert.equal(await store.saveObject({ id: user.id, type: 'Person' }), false);
+            assert.equal((await store.getObject(user.id))._meta, undefined);
+            assert.equal((await store.getObject(user.id, true))._meta.privateKey, 'key');
+            assert.equal(await store.getObject(`${domain}/o/missing`), null);
+        });
+
+        it('merges partial updates and removes null values', async () => {
+            await store.saveObject({ id: `${domain}/o/note`, type: 'Note', content: ['Hi'], summary: ['cw'] });
+            const updated = await store.updateObject({ id: `${domain}/o/note`, content: ['Hello'], summary: null }, user.id);
+            assert.deepEqual(updated, { id: `${domain}/o/note`, type: 'Note', content: ['Hello'] });
+            assert.equal(await store.updateObject({ id: `${domain}/o/missing`, content: ['x'] }, user.id), undefined);
+        });
+
+        it('counts local accounts', async () => {
+            assert.equal(await store.getUserCount(), 1);
+            assert.equal(await store.getUsercount(), 1);
+        });
+    });
+
+    describe('denormalized updates', () => {
+        it('updates nested objects', async () => {
+            const create = activity('Create', user, {
+                object: [{
+                    id: `${domain}/o/abc123`,
+                    attributedTo: user.id,
+                    type: 'Note',
+                    content: 'Hello'
+                }, {
+                    id: `${domain}/o/notupdated`,
+                    attributedTo: user.id,
+                    type: 'Note',
+                    content: 'Goodbye'
+                }]
+            });
+            await store.saveActivity(create);
+            await store.saveObject(create.object[0]);
+            const updated = {
+                id: `${domain}/o/abc123`,
+                type: 'Note',
+                attributedTo: [user.id],
+                content: ['Hello again']
+            };
+            await store.updateObject(updated, user.id, true);
+            const newCreate = await store.getActivity(create.id);
+            assert.deepEqual(newCreate.object, [updated, create.object[1]]);
+        });
+
+        it('updates queued signing keys', async () => {
+            await store.deliveryEnqueue(user.id, 'hello', user.inbox, user._meta.privateKey);
+            await store.updateObject({ ...user, _meta: { privateKey: 'newkey' } }, user.id, true);
+            const updated = await store.deliveryDequeue();
+            delete updated.after;
+            assert.deepEqual(updated, {
+                actorId: user.id,
+                body: 'hello',
+                address: user.inbox[0],
+                attempt: 0,
+                signingKey: 'newkey'
+            });
+        });
+    });
+
+    describe('activities', () => {
+        it('saves activities once and hides the stream cursor', async () => {
+            const create = inCollection(activity('Create', user), outbox);
+            assert.equal(await store.saveActivity(create), true);
+            assert.equal(await store.saveActivity(create), undefined);
+            const { _meta, ...expected } = create;
+            assert.deepEqual(await store.getActivity(create.id), expected);
+            assert.deepEqual((await store.getActivity(create.id, true))._meta, { collection: [outbox] });
+        });
+
+        it('only removes activities for their own actor', async () => {
+            const create = inCollection(activity('Create', user), outbox);
+            await store.saveActivity(create);
+            assert.equal(await store.removeActivity(create, remote.id), 0);
+            assert.equal(await store.removeActivity(create, user.id), 1);
+            assert.equal(await store.getActivity(create.id), null);
+            assert.equal(await store.getStreamCount(outbox), 0);
+        });
+
+        it('moves activities between collections with meta updates', async () => {
+            const follow = inCollection(activity('Follow', remote, { object: [user.id] }), user.inbox[0]);
+            await store.saveActivity(follow);
+            await store.updateActivityMeta(follow, 'collection', user.followers[0]);
+            await store.updateActivityMeta(follow, 'collection', user.inbox[0], true);
+            assert.equal(await store.getStreamCount(user.inbox[0]), 0);
+            assert.equal(await store.getStreamCount(user.followers[0]), 1);
+            await assert.rejects(store.updateActivityMeta({ id: `${domain}/s/missing` }, 'collection', outbox));
+        });
+
+        it('finds activities in a collection by object and by actor', async () => {
+            const like = inCollection(activity('Like', remote, { object: [`${domain}/o/liked`] }), user.inbox[0]);
+            await store.saveActivity(like);
+            await store.saveActivity(inCollection(activity('Like', remote, { object: [`${domain}/o/other`] }), outbox));
+
+            const byObject = await store.findActivityByCollectionAndObjectId(user.inbox[0], `${domain}/o/liked`);
+            assert.equal(byObject.id, like.id);
+            assert.equal(byObject._meta, undefined);
+            assert.equal(await store.findActivityByCollectionAndObjectId(user.inbox[0], `${domain}/o/other`), null);
+
+            const byActor = await store.findActivityByCollectionAndActorId(user.inbox[0], remote.id, true);
+            assert.equal(byActor.id, like.id);
+            assert.deepEqual(byActor._meta, { collection: [user.inbox[0]] });
+            assert.equal(await store.findActivityByCollectionAndActorId(user.inbox[0], user.id), null);
+        });
+
+        it('keeps the index in step with replaced activities', async () => {
+            const like = inCollection(activity('Like', remote, { object: [`${domain}/o/a`] }), user.inbox[0]);
+            await store.saveActivity(like);
+            await store.updateActivity({ ...like, object: [`${domain}/o/b`] }, true);
+            assert.equal(await store.findActivityByCollectionAndObjectId(user.inbox[0], `${domain}/o/a`), null);
+            assert.equal((await store.findActivityByCollectionAndObjectId(user.inbox[0], `${domain}/o/b`)).id, like.id);
+        });
+    });
+
+    describe('getStream', () => {
+        it('returns newest first with actors expanded and paged by cursor', async () => {
+            const saved = [];
+            for (let i = 0; i < 5; i++) {
+                saved.push(inCollection(activity('Create', user), outbox));
+                await store.saveActivity(saved[i]);
+            }
+            const firstPage = await store.getStream(outbox, 2);
+            assert.deepEqual(firstPage.map(item => item.id), [saved[4].id, saved[3].id]);
+            assert.equal(firstPage[0]._meta, undefined);
+            const { _meta, ...publicUser } = user;
+            assert.deepEqual(firstPage[0].actor, [publicUser]);
+
+            const secondPage = await store.getStream(outbox, 2, String(firstPage[1]._id));
+            assert.deepEqual(secondPage.map(item => item.id), [saved[2].id, saved[1].id]);
+            assert.equal((await store.getStream(outbox, null)).length, 5);
+            assert.equal(await store.getStreamCount(outbox), 5);
+            await assert.rejects(store.getStream(outbox, 2, 'not-a-cursor'), /invalid page value/);
+        });
+
+        it('excludes blocked actors and activities whose actor is unknown', async () => {
+            await store.saveActivity(inCollection(activity('Create', user), user.inbox[0]));
+            await store.saveActivity(inCollection(activity('Create', remote), user.inbox[0]));
+            await store.saveActivity(inCollection(activity('Create', { id: 'https://unknown.example/u/x' }), user.inbox[0]));
+
+            assert.equal((await store.getStream(user.inbox[0], 10)).length, 2);
+            const unblocked = await store.getStream(user.inbox[0], 10, null, [remote.id]);
+            assert.deepEqual(unblocked.map(item => item.actor[0].id), [user.id]);
+        });
+
+        it('applies optional query argument to aggregation pipeline', async () => {
+            await store.saveActivity(inCollection(activity('Create', user, {
+                object: [{ id: `${domain}/o/abc123`, attributedTo: user.id, type: 'Note', content: 'Hello' }]
+            }), outbox));
+            await store.saveActivity(inCollection(activity('Arrive', user, {
+                target: [{ id: `${domain}/o/immer`, type: 'Place', url: domain }]
+            }), outbox));
+
+            const filtered = await store.getStream(outbox, 10, null, null, [{ $match: { type: 'Arrive' } }]);
+            assert.equal(filtered.length, 1);
+            assert.equal(filtered[0].type, 'Arrive');
+            const nested = await store.getStream(outbox, 10, null, null, [{ $match: { 'target.type': 'Place' } }]);
+            assert.equal(nested.length, 1);
+            const excluded = await store.getStream(outbox, 10, null, null, [{ $match: { type: { $nin: ['Arrive'] } } }]);
+            assert.deepEqual(excluded.map(item => item.type), ['Create']);
+            const unfiltered = await store.getStream(outbox, 10);
+            assert.equal(unfiltered.length, 2);
+        });
+
+        it('rejects query stages it cannot apply', async () => {
+            await assert.rejects(store.getStream(outbox, 10, null, null, [{ $lookup: {} }]), /unsupported query stage/);
+            await assert.rejects(store.getStream(outbox, 10, null, null, [{ $match: { type: { $regex: 'A' } } }]), /unsupported query operator/);
+            await assert.rejects(store.getStream(outbox, 10, null, null, item => item.type === 'Arrive'), /array of aggregation stages/);
+        });
+    });
+
+    describe('contexts', () => {
+        it('saves and returns JSON-LD documents', async () => {
+            const document = { '@context': { as: 'https://www.w3.org/ns/activitystreams#' } };
+            await store.saveContext({ contextUrl: null, documentUrl: 'https://w3id.org/test', document });
+            assert.deepEqual(await store.getContext('https://w3id.org/test'), {
+                contextUrl: null,
+                documentUrl: 'https://w3id.org/test',
+                document
+            });
+            assert.equal(await store.getContext('https://w3id.org/missing'), null);
+        });
+    });
+
+    describe('delivery queue', () => {
+        it('dequeues in order and waits for future deliveries', async () => {
+            await store.deliveryEnqueue(user.id, 'first', ['https://a.example/inbox', 'https://b.example/inbox'], 'key');
+            const first = await store.deliveryDequeue();
+            assert.equal(first.address, 'https://a.example/inbox');
+            assert.ok(first.after instanceof Date);
+
+            const second = await store.deliveryDequeue();
+            assert.equal(second.address, 'https://b.example/inbox');
+            second.after = new Date(Date.now() + 60 * 1000);
+            await store.deliveryRequeue(second);
+            assert.equal(second.attempt, 1);
+            const waiting = await store.deliveryDequeue();
+            assert.ok(waiting.waitUntil > new Date());
+        });
+
+        it('hands deliveries to an external queue when there is one', async () => {
+            const queued = [];
+            const external = new QuickDBStore({
+                filePath: ':memory:',
+                deliveryQueue: { enqueue: (actorId, body, addresses) => queued.push(...addresses) }
+            });
+            await external.setup();
+            assert.equal(await external.deliveryEnqueue(user.id, '{}', ['https://a.example/inbox'], 'key'), true);
+            assert.deepEqual(queued, ['https://a.example/inbox']);
+            assert.equal(await external.deliveryDequeue(), null);
+        });
+    });
+
+    describe('setup', () => {
+        it('moves data from the old nested layout and indexes it', async () => {
+            const legacy = new QuickDBStore({ filePath: ':memory:' });
+            await legacy.db.set('objects', { a: { object: remote } });
+            const create = inCollection(activity('Create', remote), outbox);
+            await legacy.db.set('activities', { b: { activity: create, meta: { createdAt: new Date().toISOString() } } });
+            await legacy.setup();
+            assert.deepEqual(await legacy.getObject(remote.id), remote);
+            assert.deepEqual((await legacy.getStream(outbox, 10)).map(item => item.id), [create.id]);
+            assert.equal(await legacy.db.get('activities'), null);
+        });
+    });
+});